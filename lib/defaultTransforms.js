@@ -0,0 +1,52 @@
+var _ = require('lodash');
+var isEmpty = require('./values').isEmpty;
+
+// Transforms for the parse and format pipelines of fields. Parsers throw if the value can't be parsed, which makes the field invalid.
+module.exports = {
+  trim: trim,
+  lowercase: lowercase,
+  uppercase: uppercase,
+  toNumber: toNumber,
+  toDate: toDate,
+  toString: toString
+};
+
+function trim(value) {
+  return _.isString(value) ? value.trim() : value;
+}
+
+function lowercase(value) {
+  return _.isString(value) ? value.toLowerCase() : value;
+}
+
+function uppercase(value) {
+  return _.isString(value) ? value.toUpperCase() : value;
+}
+
+// Blank strings are empty too, as they would otherwise be parsed to 0 or an invalid date
+
+function toNumber(value) {
+  if (isEmpty(trim(value))) return null;
+
+  var number = _.isString(value) ? Number(value.trim()) : value;
+
+  if (typeof number !== 'number' || !isFinite(number)) throw new Error('"' + value + '" is not a number.');
+
+  return number;
+}
+
+function toDate(value) {
+  if (isEmpty(trim(value))) return null;
+
+  var date = _.isDate(value) ? value : new Date(value);
+
+  if (isNaN(date.getTime())) throw new Error('"' + value + '" is not a date.');
+
+  return date;
+}
+
+function toString(value) {
+  if (value === null || typeof value === 'undefined') return '';
+
+  return _.isDate(value) ? value.toISOString() : String(value);
+}
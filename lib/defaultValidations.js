@@ -1,7 +1,30 @@
+var _ = require('lodash');
+var isEmpty = require('./values').isEmpty;
+var isNumeric = require('./values').isNumeric;
+
+// Messages may refer to the rule's arguments by index, e.g. {0}, or to all of them as {args}
 module.exports = {
   'default': {
     message: 'Something is wrong with this field.'
   },
+  // Used when a rule throws, rejects or times out
+  error: {
+    message: 'Could not validate this field.'
+  },
+  // Used when the parse pipeline of a field fails. Default transforms have messages of their own.
+  parse: {
+    message: 'Wrong format.'
+  },
+  toNumber: {
+    message: 'Must be a number.'
+  },
+  toDate: {
+    message: 'Must be a valid date.'
+  },
+  // Used for the type keyword of JSON Schemas, with the allowed types as arguments
+  type: {
+    message: typeMessage
+  },
   email: {
     rule: /\S+@\S+\.\S+/,
     message: 'Wrong email format.'
@@ -9,9 +32,149 @@ module.exports = {
   required: {
     rule: required,
     message: 'Required field'
+  },
+  minLength: {
+    rule: minLength,
+    message: 'Must be at least {0} characters.'
+  },
+  maxLength: {
+    rule: maxLength,
+    message: 'Must be at most {0} characters.'
+  },
+  min: {
+    rule: min,
+    message: 'Must be at least {0}.'
+  },
+  max: {
+    rule: max,
+    message: 'Must be at most {0}.'
+  },
+  between: {
+    rule: between,
+    message: 'Must be between {0} and {1}.'
+  },
+  integer: {
+    rule: integer,
+    message: 'Must be an integer.'
+  },
+  number: {
+    rule: number,
+    message: 'Must be a number.'
+  },
+  url: {
+    rule: url,
+    message: 'Wrong URL format.'
+  },
+  phone: {
+    rule: phone,
+    message: 'Wrong phone number format.'
+  },
+  date: {
+    rule: date,
+    message: 'Must be a valid date.'
+  },
+  oneOf: {
+    rule: oneOf,
+    message: 'Must be one of: {args}.'
+  },
+  matches: {
+    rule: matches,
+    message: 'Wrong format.'
+  },
+  equalsField: {
+    rule: equalsField,
+    message: 'Must match {0}.'
+  },
+  minItems: {
+    rule: minItems,
+    message: 'Must have at least {0} items.'
+  },
+  maxItems: {
+    rule: maxItems,
+    message: 'Must have at most {0} items.'
   }
 };
 
+function typeMessage(value, fieldName, args) {
+  return 'Must be ' + _.map(args, function (type) {
+    return (type === 'integer' || type === 'array' || type === 'object') ? 'an ' + type : 'a ' + type;
+  }).join(' or ') + '.';
+}
+
 function required(value, callback) {
-  callback(value !== null && value !== '' && typeof value !== 'undefined');
+  callback(!isEmpty(value));
+}
+
+function minLength(value, callback, values, fieldName, args) {
+  callback(isEmpty(value) || length(value) >= args[0]);
+}
+
+function maxLength(value, callback, values, fieldName, args) {
+  callback(isEmpty(value) || length(value) <= args[0]);
+}
+
+function min(value, callback, values, fieldName, args) {
+  callback(isEmpty(value) || (isNumeric(value) && Number(value) >= args[0]));
+}
+
+function max(value, callback, values, fieldName, args) {
+  callback(isEmpty(value) || (isNumeric(value) && Number(value) <= args[0]));
+}
+
+function between(value, callback, values, fieldName, args) {
+  callback(isEmpty(value) || (isNumeric(value) && Number(value) >= args[0] && Number(value) <= args[1]));
+}
+
+function integer(value, callback) {
+  callback(isEmpty(value) || (isNumeric(value) && Number(value) % 1 === 0));
+}
+
+function number(value, callback) {
+  callback(isEmpty(value) || isNumeric(value));
+}
+
+function url(value, callback) {
+  callback(isEmpty(value) || /^(https?|ftp):\/\/[^\s\/$.?#][^\s]*$/i.test(value));
+}
+
+function phone(value, callback) {
+  callback(isEmpty(value) || (/^\+?[\d\s\-().]+$/.test(value) && String(value).replace(/\D/g, '').length >= 6));
+}
+
+function date(value, callback) {
+  if (isEmpty(value)) return callback(true);
+
+  var time = _.isDate(value) ? value.getTime() : Date.parse(value);
+
+  callback(!isNaN(time));
+}
+
+function oneOf(value, callback, values, fieldName, args) {
+  callback(isEmpty(value) || _.some(args, function (allowed) {
+    return _.isEqual(allowed, value);
+  }));
+}
+
+function matches(value, callback, values, fieldName, args) {
+  var pattern = _.isRegExp(args[0]) ? args[0] : new RegExp(args[0], args[1]);
+
+  callback(isEmpty(value) || pattern.test(value));
+}
+
+function equalsField(value, callback, values, fieldName, args) {
+  callback(_.isEqual(value, _.get(values, args[0])));
+}
+
+// Unlike other rules, minItems fails for empty values, as an empty array has too few items
+
+function minItems(value, callback, values, fieldName, args) {
+  callback((value || []).length >= args[0]);
+}
+
+function maxItems(value, callback, values, fieldName, args) {
+  callback((value || []).length <= args[0]);
+}
+
+function length(value) {
+  return _.isArray(value) ? value.length : String(value).length;
 }
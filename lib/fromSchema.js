@@ -0,0 +1,132 @@
+var _ = require('lodash');
+var defaultValidations = require('./defaultValidations');
+var isEmpty = require('./values').isEmpty;
+var isNumeric = require('./values').isNumeric;
+
+module.exports = fromSchema;
+
+// Numbers may also be strings, as values bound to inputs are, like for the min and integer rules
+var typeChecks = {
+  string: _.isString,
+  number: isNumeric,
+  integer: function (value) {
+    return isNumeric(value) && Number(value) % 1 === 0;
+  },
+  boolean: _.isBoolean,
+  array: _.isArray,
+  object: _.isPlainObject,
+  'null': _.isNull
+};
+
+// JSON Schema formats that are available as default rules under another name
+var formatAliases = {
+  uri: 'url',
+  'date-time': 'date'
+};
+
+/**
+ * Translates a JSON Schema document into a fields object for the Validator constructor
+ * @param {Object} schema - A JSON Schema describing an object. Nested object properties become dotted field names, grouped by their top level property.
+ * @param {Object} [options] - The options that will be passed to the validator. Used to look up rules for `format`.
+ * @returns {Collection.<string, Object>} - A fields collection
+ */
+function fromSchema(schema, options) {
+  var fields = {};
+
+  options = _.assign({
+    rules: {}
+  }, options);
+
+  if (!schema || !schema.properties) throw new Error('The schema must describe an object with properties.');
+
+  addProperties(fields, schema, [], null, options);
+
+  return fields;
+}
+
+function addProperties(fields, schema, segments, group, options) {
+  _.each(schema.properties, function (property, propertyName) {
+    var newSegments = segments.concat([propertyName]);
+    var required = _.contains(schema.required, propertyName);
+
+    if (property.properties) {
+      addProperties(fields, property, newSegments, group || propertyName, options);
+      return;
+    }
+
+    var field = {
+      validations: getValidations(property, required, options)
+    };
+
+    if (group) field.group = group;
+    if (property.title) field.label = property.title;
+    if (property.hasOwnProperty('default')) field['default'] = property['default'];
+
+    fields[newSegments.join('.')] = field;
+  });
+}
+
+function getValidations(property, required, options) {
+  var validations = [];
+
+  if (required) validations.push({rule: 'required'});
+
+  if (property.type) {
+    var types = _.isArray(property.type) ? property.type : [property.type];
+
+    // The rule name lets the validator look up the message, which may be translated like those of other rules
+    validations.push({
+      rule: optional(function (value) {
+        return _.some(types, function (type) {
+          return typeChecks[type] && typeChecks[type](value);
+        });
+      }),
+      ruleName: 'type',
+      args: types
+    });
+  }
+
+  if (property.hasOwnProperty('minLength')) validations.push({rule: 'minLength', args: [property.minLength]});
+
+  if (property.hasOwnProperty('maxLength')) validations.push({rule: 'maxLength', args: [property.maxLength]});
+
+  if (property.hasOwnProperty('minimum')) validations.push({rule: 'min', args: [property.minimum]});
+
+  if (property.hasOwnProperty('maximum')) validations.push({rule: 'max', args: [property.maximum]});
+
+  if (property.pattern) validations.push({rule: 'matches', args: [property.pattern]});
+
+  if (property['enum']) validations.push({rule: 'oneOf', args: property['enum']});
+
+  if (property.format) {
+    var format = formatAliases[property.format] || property.format;
+
+    // The rule name lets the validator look up the message for the format
+    validations.push({
+      rule: optional(getFormatRule(format, options)),
+      ruleName: format
+    });
+  }
+
+  return validations;
+}
+
+function getFormatRule(format, options) {
+  var rule = options.rules[format] || (defaultValidations.hasOwnProperty(format) && defaultValidations[format].rule);
+
+  if (!rule) throw new Error('Format: "' + format + '" is not available. You need to add it as a rule option.');
+
+  return rule;
+}
+
+// Wraps a check so that empty values pass, like the default rules
+function optional(check) {
+  return function (value, callback) {
+    if (isEmpty(value)) return callback(true);
+
+    if (_.isRegExp(check)) return callback(check.test(value));
+
+    // Whatever the check returns, e.g. a Promise, is handled by the validator like for any rule
+    return check.apply(this, arguments);
+  };
+}
@@ -1,22 +1,52 @@
+/* global AbortController */
 var _ = require('lodash');
 var async = require('async');
 var defaultValidations = require('./defaultValidations');
+var defaultTransforms = require('./defaultTransforms');
+var fromSchema = require('./fromSchema');
 var Model = require('racer/lib/Model');
 
 module.exports = Validator;
 
+// Properties of the validator's data that are about the form, not fields
+var stateProperties = ['hasChangedFields', 'hasInvalidFields', 'hasWarnings', 'errorSummary', 'firstInvalidField', 'groups', 'isSubmitted', 'touchedFields', 'committedPaths', 'hasConflicts', 'isCommitting', 'commitError'];
+
 /**
  * Creates a validator object and initiates it
  * @param {Model} model - A scoped model to the location on where to put the validator's data
  * @param {Model|string|Object} [origin|defaultObject] - Either a scoped model to the location where the original data is stored. Or, a path (as string) to the location where to find the original data. If not passed, the fields parameter is mandatory. Can also be passed in as a defaultObject. If passed in as default objet, the fields parameter is also mandatory.
- * @param {Collection.<string, Object>} [fields] - A collection of fields to use. If not passed, the origin parameter is mandatory. The key for each object is the field name, and the value is the field object (specified below).
+ * @param {Collection.<string, Object>} [fields] - A collection of fields to use. If not passed, the origin parameter is mandatory. The key for each object is the field name, and the value is the field object (specified below). Names with a * segment, e.g. 'addresses.*.street', apply to each item of an array field ('addresses'), whose state is kept in items (e.g. 'addresses.items.0.street').
    * @param {*} [fields.<fieldName>.default] - A default value for this specific field.
+   * @param {String} [fields.<fieldName>.label] - A human readable name of the field, available to messages as {label}. Defaults to the field name.
    * @param {String} [fields.<fieldName>.group] - A group the field belongs to. Useful for looking up validity of multiple fields simultaneously.
+   * @param {String|String[]} [fields.<fieldName>.validateOn] - When to validate the field automatically: 'change', 'blur' (see markTouched), 'submit' (only through validateAll or commit) and/or 'changeAfterSubmit'. Overrides options.validateOn.
+   * @param {Number} [fields.<fieldName>.debounce] - Milliseconds to wait after the last call to validate before validating the field.
+   * @param {String[]} [fields.<fieldName>.watch] - Names of other fields this field's validations depend on. When any of them change, this field is re-validated (if it has been validated before).
+   * @param {String|Function|Array} [fields.<fieldName>.parse] - Transforms the value goes through before it's validated and committed, e.g. ['trim', 'toNumber']. Either names of transforms ('trim', 'lowercase', 'uppercase', 'toNumber', 'toDate', 'toString' or ones passed in options.transforms) or functions called with the value and the field name, returning the new value. A transform that throws makes the field invalid.
+   * @param {String|Function|Array} [fields.<fieldName>.format] - Transforms values from origin and defaults go through before they're edited, e.g. 'toString'. Same as parse.
+   * @param {String|Function|Object} [fields.<fieldName>.parseMessage] - The message to show if the value can't be parsed. Overrides the message of the failing transform, looked up by its name (or 'parse' for functions).
    * @param {Object[]} [fields.<fieldName>.validations] - A list of validations to apply.
-     * @param {String|Function|RegEx} [fields.<fieldName>.validations.<index>.rule] - The rule to use when validating this rule. Either, this can be a string matching the name of a default rule (specified in default checks or passed in as an option), OR a function which will get run with the value to be validated as input and a callback to return the validity with, OR a RegEx to test against.
-     * @param {String} [fields.<fieldName>.validations.<index>.message] - The error message to show if validation fails
+     * @param {String|Function|RegEx} [fields.<fieldName>.validations.<index>.rule] - The rule to use when validating this rule. Either, this can be a string matching the name of a default rule (specified in default checks or passed in as an option), optionally followed by comma separated arguments (e.g. 'between:1,10'), OR a function which will get run with the value to be validated, a callback to return the validity with, the current values of all fields (see getValues), the field name, the validation's args and an abort signal (aborted when the validation is superseded) as input. Instead of calling back, the function may return the validity, a result object ({valid, message}) or a Promise of either, OR a RegEx to test against.
+     * @param {Array} [fields.<fieldName>.validations.<index>.args] - Arguments for the rule, e.g. [8] for minLength. Appended to any arguments in the rule string. Available to messages as {0}, {1}, ... or {args}.
+     * @param {String|Function|Object} [fields.<fieldName>.validations.<index>.message] - The error message to show if validation fails, or an object of such messages keyed by locale. Either a template where {field}, {label}, {value}, {0}, {1}, ... and {args} are replaced, or a function called with the value, the field name and the rule arguments, returning the message.
+     * @param {String} [fields.<fieldName>.validations.<index>.name] - A name to refer to this validation by. Defaults to the rule name if the rule is passed in as a string.
+     * @param {Number} [fields.<fieldName>.validations.<index>.timeout] - Milliseconds to wait for the rule before treating it as errored. Overrides options.timeout.
+     * @param {String|Function|Object} [fields.<fieldName>.validations.<index>.errorMessage] - The message to show if the rule throws, rejects or times out. Overrides the "error" message in options.
+     * @param {String} [fields.<fieldName>.validations.<index>.severity] - 'warning' or 'info' to show the message in warnings instead of messages, without making the field invalid. Only warnings count towards hasWarnings.
+     * @param {String} [fields.<fieldName>.validations.<index>.code] - A code to identify the failure by in field.errors. Defaults to the rule name.
+     * @param {String|String[]} [fields.<fieldName>.validations.<index>.dependsOn] - Name(s) of validations declared earlier on the same field that must pass for this validation to run. Also available as `after`.
  * @param {Object} [options] - An options object
    * @param {Collection.<string, Function|RegEx>} [options.rules] - A collection of default rules to add to this instance. Each key is the name of the rule. The value is the rule, either a function or regular expression similar to field specific functions/regular expressions passed in the fields parameter 
+   * @param {Collection.<string, Function>} [options.transforms] - A collection of transforms to add to this instance, for the parse and format pipelines of fields. Each key is the name of the transform.
+   * @param {Collection.<string, String|Function>} [options.messages] - A collection of messages to add to rules of this instance. Each key is the name of the rule. The value is a message template or function, similar to field specific messages.
+   * @param {Collection.<string, Object>} [options.locales] - Message catalogs per locale. Each key is a locale, and the value is a collection of messages similar to options.messages. Messages are looked up in the current locale before options.messages and the default messages.
+   * @param {String} [options.locale] - The locale to use initially. See setLocale.
+   * @param {String|String[]} [options.validateOn] - When to validate fields automatically, see fields.<fieldName>.validateOn. Defaults to 'submit'.
+   * @param {Number} [options.timeout] - Milliseconds to wait for function rules before treating them as errored. No timeout by default.
+   * @param {String} [options.commitMode] - 'all' (default) to write all values to origin on commit, or 'changed' to only write changed fields, each by its own path, with array operations for arrays.
+   * @param {String} [options.conflictStrategy] - How to resolve conflicts with changes made to origin while editing: 'manual' (default, see resolveConflict), 'mine', 'theirs' or 'merge'.
+   * @param {Boolean} [options.refreshUnchanged] - Whether fields that haven't been changed take the value of changes made to origin while editing. Defaults to true. Otherwise they get a conflict too.
+   * @param {Component} [options.component] - A Derby component the validator belongs to. The validator is destroyed along with it.
  * @returns {Validator} - Instance of Validator
  */
 function Validator(model, origin, fields, options) {
@@ -74,22 +104,128 @@ function Validator(model, origin, fields, options) {
         self.fields[key]['default'] = val;
       });
     }
+
+    // Fields for array items, e.g. 'addresses.*.street', imply a field for the array itself
+    _.each(this._getArrayFields(), function (arrayField) {
+      if(!self.fields[arrayField]) self.fields[arrayField] = {'default': []};
+    });
   }
 
   this.options = _.assign({
     rules: {},
-    messages: {}
+    messages: {},
+    locales: {},
+    transforms: {}
   }, args.shift());
 
+  this.locale = this.options.locale;
+  // Failed validations, warnings and rule errors per field, kept to be able to re-render their messages
+  this._failures = {};
+  this._warnings = {};
+  this._ruleErrors = {};
+  // Errors applied from e.g. a server response, kept along with the value they were reported for
+  this._serverErrors = {};
+  // Pending debounced validations and abort controllers of running validations per field
+  this._debounced = {};
+  this._abortControllers = {};
+
+  // Listeners on the model and the Derby component, removed by destroy()
+  this._listeners = [];
+  this._component = this.options.component;
+
   // Setup
   this._setup();
+  this._listen();
+
+  if (this._component && this._component.on) {
+    this._onComponentDestroy = function () {
+      self.destroy();
+    };
+    this._component.on('destroy', this._onComponentDestroy);
+  }
 }
 
+/**
+ * Creates a validator with fields, groups and validations translated from a JSON Schema document
+ * @param {Model} model - A scoped model to the location on where to put the validator's data
+ * @param {Model|string} [origin] - A scoped model or path to the location where the original data is stored. Pass null if there is none.
+ * @param {Object} schema - A JSON Schema describing an object. Supports `type`, `required`, `minLength`, `maxLength`, `minimum`, `maximum`, `pattern`, `enum`, `format`, `default`, `title` (as label) and nested `properties`, which become dotted field names grouped by their top level property.
+ * @param {Object} [options] - An options object, same as for the constructor. Rules named after a `format` are looked up here before the default rules.
+ * @returns {Validator} - Instance of Validator
+ */
+Validator.fromSchema = function (model, origin, schema, options) {
+  var fields = fromSchema(schema, options);
+
+  // Pass an empty default object, otherwise the fields would be taken as the default object and the options as the fields
+  if (!origin) return new Validator(model, {}, fields, options);
+
+  return new Validator(model, origin, {}, fields, options);
+};
+
+/**
+ * Validates values against field definitions without a model, e.g. on the server before accepting writes
+ * @param {Collection.<string, Object>} fields - A collection of fields, same as for the constructor
+ * @param {Object} values - The values to validate, nested according to the (dotted) field names, like the values from getValues
+ * @param {Object} [options] - An options object, same as for the constructor
+ * @param {Function} [callback] - Called with the result once all fields are validated: whether all fields are valid (valid), and the validity (valid), messages, warnings (if any) and error message (errorMessage, if a rule errored) per path of the field's value (fields), e.g. 'addresses.0.street' for array items, like the paths taken by applyErrors.
+ * @returns {Promise|undefined} - If no callback is passed, a Promise resolved with the result
+ */
+Validator.validateValues = function (fields, values, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  if (!callback) return promised(Validator.validateValues.bind(null, fields, values, options));
+
+  var withValues = {};
+
+  // Fields get their values as defaults, including array fields only implied by the fields of their items
+  _.each(fields, function (field, fieldName) {
+    if (!isItemPattern(fieldName)) return withValues[fieldName] = _.assign({}, field, {'default': _.get(values, fieldName)});
+
+    var arrayField = arrayFieldOf(fieldName);
+
+    withValues[fieldName] = field;
+    withValues[arrayField] = withValues[arrayField] || _.assign({}, fields[arrayField], {'default': _.get(values, arrayField)});
+  });
+
+  // The validator keeps its state in a model of its own, which is discarded afterwards
+  var model = (new Model()).at('_page.validator');
+  var validator = new Validator(model, {}, withValues, options);
+  var fieldNames = validator._getValidatedFields();
+
+  async.parallel(_.map(fieldNames, function (fieldName) {
+    return function (asyncCallback) {
+      validator._validate(fieldName, function () {
+        asyncCallback();
+      });
+    };
+  }), function () {
+    var result = {valid: true, fields: {}};
+
+    _.each(fieldNames, function (fieldName) {
+      var state = model.get(fieldName);
+      var field = result.fields[validator._getValuePath(fieldName)] = {
+        valid: !!state.isValid,
+        messages: state.messages || []
+      };
+
+      if (state.warnings && state.warnings.length) field.warnings = state.warnings;
+      if (state.hasError) field.errorMessage = state.errorMessage;
+      if (!field.valid) result.valid = false;
+    });
+
+    validator.destroy(true);
+    callback(result);
+  });
+};
+
 // TODO: Add proper docs for external facing methods, such as this one
 Validator.prototype.getValues = function (noId) {
   var values = {};
   var fieldsObject = this._getFieldsObject();
-  var exclude = ['hasChangedFields', 'hasInvalidFields', 'groups'];
+  var exclude = stateProperties.slice();
   if(noId) exclude.push('id');
 
   function get(collection, fieldsObject, values) {
@@ -112,6 +248,30 @@ Validator.prototype.getValues = function (noId) {
   return values;
 };
 
+// Names of all fields, including those only in origin, nested like in getValues
+Validator.prototype._getFieldNames = function () {
+  var fieldNames = [];
+
+  function get(collection, fieldsObject, segments) {
+    _.each(collection, function (field, fieldName) {
+      var newSegments = segments.concat([fieldName]);
+
+      if(!fieldsObject || fieldsObject[fieldName] === true || typeof fieldsObject[fieldName] === 'undefined') {
+        if(!segments.length && _.contains(stateProperties.concat(['id']), fieldName)) return;
+
+        fieldNames.push(newSegments.join('.'));
+        return;
+      }
+
+      get(field, fieldsObject[fieldName], newSegments);
+    });
+  }
+
+  get(this.model.get(), this._getFieldsObject(), []);
+
+  return fieldNames;
+};
+
 Validator.prototype._getFieldsObject = function () {
   var fieldsObject = {};
 
@@ -127,6 +287,9 @@ Validator.prototype._getFieldsObject = function () {
   _.each(this.fields, function (field, fieldName) {
     var segments = fieldName.split('.');
 
+    // Array items are part of the array field's value
+    if (_.contains(segments, '*')) segments = _.take(segments, segments.indexOf('*'));
+
     set(fieldsObject, segments);
   });
 
@@ -135,288 +298,1945 @@ Validator.prototype._getFieldsObject = function () {
 
 // TODO: Add proper docs for external facing methods, such as this one
 Validator.prototype.validate = function (fieldname, callback) {
+  if (!callback) return promised(this.validate.bind(this, fieldname));
+
+  var debounce = _.result(this._getFieldDefinition(fieldname), 'debounce');
+  if (debounce) return this._debounce(fieldname, debounce, callback);
+
   this._validate(fieldname, callback);
 };
 
 // TODO: Add proper docs for external facing methods, such as this one
 Validator.prototype.validateAll = function(callback) {
-  var self = this;
+  if (!callback) return promised(this.validateAll.bind(this));
 
-  var validating = [];
+  this.model.set('isSubmitted', true);
 
-  _.each(this.fields, function (field, fieldName) {
-    if(!field.validations) return;
+  this._validateFields(this._getValidatedFields(), callback);
+};
+
+Validator.prototype._validateFields = function (fieldNames, callback) {
+  var self = this;
+  var validating = [];
 
+  _.each(fieldNames, function (fieldName) {
     validating.push(function (asyncCallback) {
+      // Invalid fields don't stop the others, so that all of them are validated once this calls back
       self._validate(fieldName, function (valid) {
-        asyncCallback(valid ? null : true, valid);
+        asyncCallback(null, valid);
       });
     });
   });
 
   async.parallel(validating, function (err, res) {
-    if (callback) callback(err ? false : true, res);
+    callback(_.every(res), res);
   });
 };
 
 // TODO: Add proper docs for external facing methods, such as this one
 Validator.prototype.setInvalid = function (fieldName, message) {
+  this._addFailure(fieldName, {message: message, value: this._getFieldValue(fieldName)});
   this._setValidity(fieldName, false);
-  this.model.push(fieldName + '.messages', message || defaultValidations['default'].message);
 };
 
 /*
  * @public
- * Reset values to origin.
+ * Switches the locale used for messages and re-renders the messages of all fields, without re-running any rules.
+ *
+ * @param {String} locale - The locale to use. Messages are looked up in options.locales[locale] before options.messages and the default messages.
  */
-Validator.prototype.reset = function () {
-  this._setup();
+Validator.prototype.setLocale = function (locale) {
+  var self = this;
+
+  this.locale = locale;
+
+  _.each(this._failures, function (failures, fieldName) {
+    if (!failures.length) return;
+
+    self.model.set(fieldName + '.messages', _.map(failures, function (failure) {
+      return self._renderFailure(fieldName, failure);
+    }));
+    self.model.set(fieldName + '.errors', _.map(failures, function (failure) {
+      return self._renderError(fieldName, failure);
+    }));
+  });
+
+  _.each(this._warnings, function (warnings, fieldName) {
+    if (!warnings.length) return;
+
+    self.model.set(fieldName + '.warnings', _.map(warnings, function (warning) {
+      return self._renderFailure(fieldName, warning);
+    }));
+  });
+
+  _.each(this._ruleErrors, function (ruleError, fieldName) {
+    self.model.set(fieldName + '.errorMessage', self._renderRuleError(fieldName, ruleError));
+  });
+
+  this._setErrorSummary();
 };
 
 /*
  * @public
- * Validates and commits to model.
+ * Maps errors reported for the values, e.g. by a server, onto the fields. Unlike local failures, they are kept when fields are validated again, until the value of their field changes. Replaces errors applied before.
  *
- * @param {Boolean} [force] - Whether to force commit without validating.
- * @param {Function} [callback] - A function that is called after validation. Passes valid state. 
+ * @param {Object} errorsByPath - Messages (a string or an array of strings) by the path of the value, e.g. 'company.email' or 'addresses.0.street'. Paths may also be nested as objects and arrays.
+ * @returns {String[]} - The paths that don't belong to any field
  */
-Validator.prototype.commit = function (force, callback) {
-  if (!this.origin) return;
+Validator.prototype.applyErrors = function (errorsByPath) {
+  var self = this;
+  var unknown = [];
 
-  if (arguments.length === 1 && typeof arguments[0] !== 'boolean')  {
-    callback = arguments[0];
-    force = false;
-  }
+  _.each(_.keys(this._serverErrors), function (fieldName) {
+    self._clearServerErrors(fieldName);
+  });
 
-  if (force) {
-    this._commitToModel();
+  _.each(flattenErrors(errorsByPath, ''), function (messages, path) {
+    var fieldName = self._getFieldForPath(path);
 
-    return;
-  }
+    if (!fieldName) return unknown.push(path);
 
-  var self = this;
-  this.validateAll(function (valid) {
-    if (valid) self._commitToModel();
-    
-    if (callback) callback(valid);
-  });
-};
+    var value = self._getFieldValue(fieldName);
+    var failures = _.map(messages, function (message) {
+      return {message: message, value: value, server: true};
+    });
 
-Validator.prototype._commitToModel = function () {
-  var values = this.getValues(true);
+    self._serverErrors[fieldName] = {value: _.cloneDeep(value), failures: failures};
+    _.each(failures, function (failure) {
+      self._addFailure(fieldName, failure);
+    });
+    self._setValidity(fieldName, false);
+  });
 
-  if(this.origin.get('id')) {
-    this.origin.setEach(values);
-  } else {
-    // REVIEW: If we haven fetched/subscribed to a doc which we have the id for (i.e. we try to add a doc which already exists in DB), we get random errors that we don't handle (but doesn't seem to really affect anything)
-    var id = this.origin.leaf();
-    values.id = id;
-    this.origin.parent().add(values);
-  }
+  return unknown;
 };
 
-Validator.prototype._setup = function () {
+/*
+ * @public
+ * Gets the errors of all fields that failed validation, e.g. to send to logs or APIs.
+ *
+ * @returns {Object} - The errors ({rule, code, message, params}) of each invalid field, by the path of its value, e.g. 'addresses.0.street' for array items, like the paths taken by applyErrors.
+ */
+Validator.prototype.getErrors = function () {
   var self = this;
+  var errors = {};
 
-  if (this.fields) {
-    _.each(this.fields, function (field, fieldName) {
-      self._addFieldProperties(fieldName, field);
-    });
-  }
-
-  if(this.origin) this._addFromOrigin();
-
-  // REFACTOR: This event listener is added on each setup which is causing problems if a new validator instance is initiated with the same model path as an old one (even if the data is removed, this listener is keeping a reference to this). It would probably also be added on each reset() since that is just calling this method. Need to clean listener or handle changes differently i think.
-  this.model.on('change', '**', function (path, value) {
-    var segments = path.split('.');
-    var contains = _.contains(segments, 'value');
-    var last = _.last(segments);
-    var field;
+  _.each(this._failures, function (failures, fieldName) {
+    if (!failures.length) return;
 
-    if (contains) {
-      var valueIndex = _.findIndex(segments, function (segment) {
-        return segment === 'value';
-      });
-      
-      field = _.slice(segments, 0, valueIndex).join('.');
+    errors[self._getValuePath(fieldName)] = _.map(failures, function (failure) {
+      return self._renderError(fieldName, failure);
+    });
+  });
 
-      var  startValue = (self.origin) ? self.origin.get(field) : _.get(self.fields, field + '.default');
+  return errors;
+};
 
-      if (!_.isEqual(self.model.get(field + '.value'), startValue)) {
-        self.model.set(field + '.hasChanged', true);
-      } else {
-        self.model.set(field + '.hasChanged', false);
-      }
+/*
+ * @public
+ * Marks a field as touched, e.g. when an input loses focus. Validates the field if it validates on blur.
+ *
+ * @param {String} fieldName - The name of the field
+ */
+Validator.prototype.markTouched = function (fieldName) {
+  this.model.set(fieldName + '.isTouched', true);
 
-      self._setChangedState(); 
-      
-    } else {
-      field = _.dropRight(segments).join('.');
-    }
+  if (!_.contains(this.model.get('touchedFields'), fieldName)) this.model.push('touchedFields', fieldName);
 
-    if(last === 'isValid' && self.fields && self.fields[field]) {
-      self._setGroupValidity(field, value);
-    }
-  });
+  if (this._shouldValidateOn(fieldName, 'blur')) this.validate(fieldName);
 };
 
-Validator.prototype._setGroupValidity = function (field, value) {
-  var group = this.fields[field].group || 'default';
-  var path = 'groups.' + group + '.isValid';
-  var currentlyValid = this.model.get(path);
+/*
+ * @public
+ * Adds a field after the validator has been created, e.g. when a form reveals extra inputs. Its value is taken from origin if it's there, otherwise from its default.
+ *
+ * @param {String} fieldName - The name of the field. Names with a * segment add a field for the items of an array field.
+ * @param {Object} [field] - The field object, same as in the fields parameter of the constructor.
+ */
+Validator.prototype.addField = function (fieldName, field) {
+  if (this.fields && this.fields[fieldName]) throw new Error('Field: "' + fieldName + '" already exists.');
 
-  // No change in status
-  if(currentlyValid == value) return;
+  field = _.cloneDeep(field || {});
+  this.fields = this.fields || {};
+  this.fields[fieldName] = field;
 
-  // It was true, now it's not valid anymore
-  if(!value) this.model.set(path, false);
+  if (isItemPattern(fieldName)) {
+    var arrayField = arrayFieldOf(fieldName);
 
-  // It was false, but might be true now if all others are also true
-  var self = this;
-  var allValid = _.every(this.fields, function (field, key) {
-    var fieldGroup = field.group || 'default';
+    if (field.validations) this._assignValidations(field.validations);
+    if (!this.fields[arrayField]) this.addField(arrayField, {'default': []});
 
-    if(fieldGroup !== group) return true;
+    this._resetItems(arrayField);
+    this._setState();
+    return;
+  }
 
-    if(!self.model.get(key + '.isInvalid')) return true;
+  if (this.origin) this._setBase(fieldName);
 
-    return false;
-  });
+  this._settingUp = true;
+  this._addFieldProperties(fieldName, field);
 
-  if(!allValid) return;
+  var originValue = this.origin && this.origin.getDeepCopy(fieldName);
+  if (typeof originValue !== 'undefined') this.model.set(fieldName + '.value', this._formatValue(fieldName, originValue));
 
-  this.model.set(path, true);
+  this._settingUp = false;
+
+  this._setState();
 };
 
-Validator.prototype._addFromOrigin = function () {
+/*
+ * @public
+ * Removes a field, along with its data and state. Removing an array field also removes the fields of its items.
+ *
+ * @param {String} fieldName - The name of the field
+ */
+Validator.prototype.removeField = function (fieldName) {
   var self = this;
-  var fieldsObject = this._getFieldsObject();
+  var field = this.fields && this.fields[fieldName];
 
-  function add(collection, segments, fieldsObject) {
-    _.each(collection, function (value, fieldName) {
-      var newSegments = segments.concat([fieldName]);
-      var path = newSegments.join('.');
+  if (!field) throw new Error('Field: "' + fieldName + '" does not exist.');
 
-      if(!fieldsObject || fieldsObject[fieldName] === true || typeof fieldsObject[fieldName] === 'undefined') {
-        self.model.set(path + '.value', value);
-        return;
-      }
+  if (isItemPattern(fieldName)) return this._removeItemField(fieldName);
 
-      add(value, newSegments, fieldsObject[fieldName]);
-    });
-  }
+  _.each(_.filter(_.keys(this.fields), isItemPattern), function (pattern) {
+    if (arrayFieldOf(pattern) === fieldName) self._removeItemField(pattern);
+  });
 
-  add(this.origin.getDeepCopy(), [], fieldsObject);
-};
+  this._clearValidity(fieldName);
+  delete this.fields[fieldName];
 
-Validator.prototype._addFieldProperties = function (fieldName, field) {
-  var self = this;
-  var data = {value: null};
+  var touched = _.indexOf(this.model.get('touchedFields'), fieldName);
+  if (touched > -1) this.model.remove('touchedFields', touched);
 
-  if(field) {
-    data = {value: _.cloneDeep(field.default)};
-
-    if(field.validations) {
-      _.assign(data, {
-        validations: this._assignValidations(field.validations),
-        isValid: false,
-        isInvalid: false,
-        validate: function (callback) {
-          return self._validate(fieldName, callback);
-        }
-      });
-    }
-  }
+  this._delFieldData(fieldName);
 
-  this.model.setEach(fieldName, data);
+  this._updateGroupValidity(field.group || 'default');
+  this._setState();
+  this._setChangedState();
 };
 
-Validator.prototype._validate = function (fieldName, callback) {
-  this.model.del(fieldName + '.messages');
-  this.model.set(fieldName + '.validating', true);
-  var serial = this.model.increment(fieldName + '.serial');
+/*
+ * @public
+ * Replaces the validations of a field. The field's validity is reset, so it needs to be validated again.
+ *
+ * @param {String} fieldName - The name of the field
+ * @param {Object[]} [validations] - The new validations, same as in the fields parameter of the constructor. Pass nothing to stop validating the field.
+ */
+Validator.prototype.updateValidations = function (fieldName, validations) {
   var self = this;
+  var field = this.fields && this.fields[fieldName];
 
-  var field = this.model.get(fieldName);
-  if (!field || !field.hasOwnProperty('validations')) {
-    if (callback) callback(true);
-    return;
-  }
-
-  var validating = [];
-  for (var i = 0; i < field.validations.length; i++) {
-    validating.push(this._check(fieldName, field.value, field.validations[i], serial, this));
-  }
+  if (!field) throw new Error('Field: "' + fieldName + '" does not exist.');
 
-  async.parallel(validating, function (err, results) {
-    var valid = err ? false : true;
+  validations = (validations && validations.length) ? this._assignValidations(_.cloneDeep(validations)) : undefined;
 
-    self._setValidity(fieldName, valid);
+  if (isItemPattern(fieldName)) {
+    var arrayField = arrayFieldOf(fieldName);
 
-    if (callback) callback(valid);
-    if (serial === self.model.get(fieldName + '.serial')) self.model.del(fieldName + '.validating');
-  });
-};
+    _.each(this._getItemFields(arrayField), function (itemField) {
+      if (self._parseItemField(itemField).pattern !== fieldName) return;
 
-Validator.prototype._assignValidations = function (validations) {
-  for (var i = 0; i < validations.length; i++) {
-    var validation = validations[i];
+      self._clearValidity(itemField);
+      self._delItemState(itemField);
+    });
 
-    if (!validation.message) validation.message = this._getMessage(validation.rule);
+    field.validations = validations;
+    this._setItemsValidity(arrayField);
+    this._setState();
+    return;
+  }
 
-    if (typeof validation.rule === 'string') validation.rule = this._getRule(validation.rule);
+  this._clearValidity(fieldName);
+  field.validations = validations;
 
-    if (typeof validation.rule !== 'function' && !_.isRegExp(validation.rule)) throw new Error('This rule is not (or does not point to) a RegEx or a function.');
+  if (validations) {
+    this.model.setEach(fieldName, _.assign({wasValidated: false}, this._getValidationProperties(fieldName, validations)));
+  } else {
+    _.each(['validations', 'isValid', 'isInvalid', 'validate'], function (property) {
+      self.model.del(fieldName + '.' + property);
+    });
+    this.model.set(fieldName + '.wasValidated', false);
   }
 
-  return validations;
+  this._updateGroupValidity(field.group || 'default');
+  this._setState();
 };
 
-Validator.prototype._getRule = function (ruleName) {
-  if(this.options.rules[ruleName]) return this.options.rules[ruleName];
-
-  if(defaultValidations.hasOwnProperty(ruleName)) return defaultValidations[ruleName].rule;
-
-  throw new Error('Rule: "' + ruleName + '" is not available. You need to add it as an option.');
+/*
+ * @public
+ * Reset values to origin.
+ */
+Validator.prototype.reset = function () {
+  this._setup();
 };
 
-Validator.prototype._getMessage = function (ruleName) {
-  return this.options.messages[ruleName] || ((defaultValidations.hasOwnProperty(ruleName)) ? defaultValidations[ruleName].message : defaultValidations['default'].message);
-};
+/*
+ * @public
+ * Sets the value of a field back to origin (or its default), and resets its state and validity.
+ *
+ * @param {String} fieldName - The name of the field. Resetting an array field also resets its items.
+ */
+Validator.prototype.resetField = function (fieldName) {
+  var field = this.fields && this.fields[fieldName];
+  var value = _.cloneDeep(_.result(field, 'default'));
+  var originValue = this.origin && this.origin.getDeepCopy(fieldName);
 
-Validator.prototype._check = function (fieldName, value, validation, serial, context) {
-  return function (callback) {
-    var setValidity = function (valid, invalidResult) {
-      var current = (serial === context.model.get(fieldName + '.serial'));
-      if (current && !valid) context.model.push(fieldName + '.messages', validation.message);
+  if (typeof originValue !== 'undefined') value = originValue;
+  value = this._formatValue(fieldName, value);
 
-      if (current && invalidResult) context.model.set(fieldName + '.invalidAt', invalidResult);
-      
-      callback(current && valid ? null : true, valid);
-    };
+  this._clearValidity(fieldName);
+  if (this.origin) this._setBase(fieldName);
 
-    if (_.isRegExp(validation.rule)) setValidity(validation.rule.test(value));
+  this._settingUp = true;
+  this.model.setEach(fieldName, _.assign({value: value}, initialFieldState()));
+  if (field && (field.validations || field.parse)) this.model.setEach(fieldName, {isValid: false, isInvalid: false});
+  if (_.contains(this._getArrayFields(), fieldName)) this._resetItems(fieldName);
+  this._settingUp = false;
 
-    if (typeof validation.rule === 'function') validation.rule(value, setValidity);
-  };
+  var touched = _.indexOf(this.model.get('touchedFields'), fieldName);
+  if (touched > -1) this.model.remove('touchedFields', touched);
+
+  if (field) this._updateGroupValidity(field.group || 'default');
+  this._setState();
 };
 
-Validator.prototype._setValidity = function (fieldName, validity) {
-  this.model.setEach(fieldName, { isInvalid: !validity, isValid: validity });
-  if (validity) this.model.del(fieldName + '.invalidAt');
+/*
+ * @public
+ * Resets all fields of a group, see resetField.
+ *
+ * @param {String} group - The name of the group. Fields without a group are in the 'default' group.
+ */
+Validator.prototype.resetGroup = function (group) {
+  var self = this;
 
-  this._setState();
+  _.each(this._getGroupFields(group), function (fieldName) {
+    self.resetField(fieldName);
+  });
 };
 
-Validator.prototype._setState = function() {
-  this.model.set('hasInvalidFields', !!_.result(_.find(this.model.get(), {'isInvalid': true}), 'isInvalid'));
+/*
+ * @public
+ * Validates a single field and commits its value to origin, leaving other fields as they are.
+ *
+ * @param {String} fieldName - The name of the field. Committing an array field also validates its items.
+ * @param {Boolean} [force] - Whether to force commit without validating.
+ * @param {Function} [callback] - A function that is called after validation, and after the values are written if valid. Passes valid state, the paths written to origin and the write error, if any.
+ * @returns {Promise|undefined} - If no callback is passed, a Promise resolved with the valid state. Write errors are set as commitError instead of rejecting it.
+ */
+Validator.prototype.commitField = function (fieldName, force, callback) {
+  return this._commitFields([fieldName], force, callback);
 };
 
-Validator.prototype._setChangedState = function() {
-  function find(collection, property) {
-    return _.findKey(collection, function (field, fieldName) {
-      if (field.hasOwnProperty('value')) {
-        return field[property];
+/*
+ * @public
+ * Validates the fields of a group and commits their values to origin, leaving other fields as they are.
+ *
+ * @param {String} group - The name of the group. Fields without a group are in the 'default' group.
+ * @param {Boolean} [force] - Whether to force commit without validating.
+ * @param {Function} [callback] - A function that is called after validation, and after the values are written if valid. Passes valid state, the paths written to origin and the write error, if any.
+ * @returns {Promise|undefined} - If no callback is passed, a Promise resolved with the valid state. Write errors are set as commitError instead of rejecting it.
+ */
+Validator.prototype.commitGroup = function (group, force, callback) {
+  return this._commitFields(this._getGroupFields(group), force, callback);
+};
+
+/*
+ * @public
+ * Resolves a conflict between the value of a field and a change of it in origin made while editing (see field.hasConflict).
+ *
+ * @param {String} fieldName - The name of the field
+ * @param {String} strategy - 'mine' to keep the value, overwriting the change in origin on commit. 'theirs' to take the value from origin. 'merge' to merge changes to different properties of object values.
+ * @returns {Boolean} - Whether the conflict was resolved. Merging fails if both changed the same property, or if the values aren't objects.
+ */
+Validator.prototype.resolveConflict = function (fieldName, strategy) {
+  if (!this.model.get(fieldName + '.hasConflict')) return true;
+
+  if (strategy === 'mine') {
+    this._setBase(fieldName);
+    this._setHasChanged(fieldName);
+    return true;
+  }
+
+  if (strategy === 'theirs') {
+    this._takeTheirs(fieldName);
+    return true;
+  }
+
+  if (strategy !== 'merge') throw new Error('Conflict strategy: "' + strategy + '" is not available.');
+
+  var merged = merge(_.get(this._base, fieldName), this._getParsedValue(fieldName), this.origin.getDeepCopy(fieldName));
+
+  if (merged.conflict) return false;
+
+  this._setBase(fieldName);
+  this.model.set(fieldName + '.value', this._formatValue(fieldName, merged.value));
+  this._setHasChanged(fieldName);
+
+  return true;
+};
+
+/*
+ * @public
+ * Stops the validator: removes its listeners and cancels running and pending validations. Called automatically when the component passed as options.component is destroyed.
+ *
+ * @param {Boolean} [clear] - Whether to also delete the validator's data from its scoped model.
+ */
+Validator.prototype.destroy = function (clear) {
+  var self = this;
+
+  _.each(this._listeners, function (listener) {
+    listener.model.removeListener(listener.event, listener.listener);
+  });
+  this._listeners = [];
+
+  if (this._onComponentDestroy) {
+    this._component.removeListener('destroy', this._onComponentDestroy);
+    delete this._onComponentDestroy;
+  }
+
+  _.each(_.uniq(_.keys(this._abortControllers).concat(_.keys(this._debounced))), function (fieldName) {
+    self._abort(fieldName);
+
+    var callback = self._takeDebounced(fieldName);
+    if (callback) callback(false);
+  });
+
+  if (clear) this.model.del();
+};
+
+/*
+ * @public
+ * Validates and commits to model.
+ *
+ * @param {Boolean} [force] - Whether to force commit without validating.
+ * @param {Function} [callback] - A function that is called after validation, and after the values are written if valid. Passes valid state, the paths written to origin and the write error, if any.
+ * @returns {Promise|undefined} - If no callback is passed, a Promise resolved with the valid state. Write errors are set as commitError instead of rejecting it.
+ */
+Validator.prototype.commit = function (force, callback) {
+  if (arguments.length === 1 && typeof arguments[0] !== 'boolean')  {
+    callback = arguments[0];
+    force = false;
+  }
+
+  if (!callback) return promised(this.commit.bind(this, !!force));
+
+  // Without origin there is nowhere to commit to
+  if (!this.origin) return callback(false, []);
+
+  this.model.set('isSubmitted', true);
+
+  if (force) return this._commitToModel(null, function (err, paths) {
+    callback(true, paths, err);
+  });
+
+  var self = this;
+  this.validateAll(function (valid) {
+    if (!valid) return callback(false, []);
+
+    self._commitToModel(null, function (err, paths) {
+      callback(true, paths, err);
+    });
+  });
+};
+
+// Validates and commits only the given fields
+Validator.prototype._commitFields = function (fieldNames, force, callback) {
+  if (typeof force === 'function') {
+    callback = force;
+    force = false;
+  }
+
+  if (!callback) return promised(this._commitFields.bind(this, fieldNames, !!force));
+
+  if (!this.origin) return callback(false, []);
+
+  if (force) return this._commitToModel(fieldNames, function (err, paths) {
+    callback(true, paths, err);
+  });
+
+  var self = this;
+  this._validateFields(this._getValidatedFields(fieldNames), function (valid) {
+    if (!valid) return callback(false, []);
+
+    self._commitToModel(fieldNames, function (err, paths) {
+      callback(true, paths, err);
+    });
+  });
+};
+
+/**
+ * Writes values to origin
+ * @param {String[]} [fieldNames] - The fields to write. All fields if not passed.
+ * @param {Function} callback - Called when the writes are done (acknowledged by the server, for remote documents) with the first write error, if any, and the paths written, which are also set as committedPaths
+ */
+Validator.prototype._commitToModel = function (fieldNames, callback) {
+  var self = this;
+  var writes = [];
+
+  function write(method) {
+    var args = _.rest(arguments);
+
+    writes.push(function (asyncCallback) {
+      self.origin[method].apply(self.origin, args.concat([asyncCallback]));
+    });
+  }
+
+  // Copies, as the values written to origin must not be the ones that are edited
+  var values = fieldNames ? {} : _.cloneDeep(this.getValues(true));
+  var paths = fieldNames || _.keys(values);
+  var committed = fieldNames || this._getFieldNames();
+
+  _.each(fieldNames, function (fieldName) {
+    _.set(values, fieldName, self.model.getDeepCopy(fieldName + '.value'));
+  });
+
+  // Values are written as parsed. Values that can't be parsed (when forcing the commit) are written as they are.
+  values = this._applyPipelines('parse', values, fieldNames);
+
+  // Our own writes are not remote changes to detect conflicts for
+  this._committing = true;
+
+  if(this.origin.get('id') && this.options.commitMode === 'changed') {
+    committed = _.filter(committed, function (fieldName) {
+      return self.model.get(fieldName + '.hasChanged');
+    });
+    paths = this._commitChanges(committed, values, write);
+  } else if(this.origin.get('id') && fieldNames) {
+    // Set each field by its path, as setting their parents would overwrite fields that aren't committed
+    _.each(fieldNames, function (fieldName) {
+      write('set', fieldName, _.get(values, fieldName));
+    });
+  } else if(this.origin.get('id')) {
+    // setEach doesn't call back without anything to set
+    if (!_.isEmpty(values)) write('setEach', null, values);
+  } else {
+    // REVIEW: If we haven fetched/subscribed to a doc which we have the id for (i.e. we try to add a doc which already exists in DB), we get random errors that we don't handle (but doesn't seem to really affect anything)
+    var id = this.origin.leaf();
+    values.id = id;
+    writes.push(function (asyncCallback) {
+      self.origin.parent().add(values, asyncCallback);
+    });
+  }
+
+  this.model.set('isCommitting', true);
+  this.model.del('commitError');
+
+  async.parallel(writes, function (err) {
+    self.model.set('isCommitting', false);
+    if (err) self.model.set('commitError', err);
+
+    _.each(committed, function (fieldName) {
+      self._setBase(fieldName);
+      self._setHasChanged(fieldName);
+    });
+
+    self.model.set('committedPaths', paths);
+
+    callback(err || null, paths);
+  });
+
+  this._committing = false;
+};
+
+// Writes each field as a set or del of its path, or as array operations
+Validator.prototype._commitChanges = function (fieldNames, values, write) {
+  var self = this;
+  var paths = [];
+
+  _.each(fieldNames, function (fieldName) {
+    var value = _.get(values, fieldName);
+    var current = self.origin.get(fieldName);
+
+    if (_.isArray(value) && _.isArray(current)) {
+      paths = paths.concat(self._commitArray(fieldName, value, current, write));
+    } else if (typeof value === 'undefined') {
+      write('del', fieldName);
+      paths.push(fieldName);
+    } else {
+      write('set', fieldName, value);
+      paths.push(fieldName);
+    }
+  });
+
+  return paths;
+};
+
+// Replaces items that differ in place, or removes and inserts the items between the unchanged start and end of the array
+Validator.prototype._commitArray = function (path, value, current, write) {
+  var start = 0;
+  var end = 0;
+
+  while (start < Math.min(value.length, current.length) && _.isEqual(value[start], current[start])) start++;
+
+  while (end < Math.min(value.length, current.length) - start && _.isEqual(value[value.length - 1 - end], current[current.length - 1 - end])) end++;
+
+  var removed = current.length - start - end;
+  var inserted = value.slice(start, value.length - end);
+
+  if (removed === inserted.length) {
+    return _.compact(_.map(inserted, function (item, i) {
+      if (_.isEqual(item, current[start + i])) return null;
+
+      write('set', path + '.' + (start + i), item);
+      return path + '.' + (start + i);
+    }));
+  }
+
+  if (removed) write('remove', path, start, removed);
+  if (inserted.length) write('insert', path, start, inserted);
+
+  return [path];
+};
+
+Validator.prototype._setup = function () {
+  var self = this;
+
+  // Values set while setting up are not changes made by the user, so they shouldn't trigger validation or make fields dirty
+  this._settingUp = true;
+
+  this.model.setEach({isSubmitted: false, touchedFields: [], hasConflicts: false});
+
+  // The values being edited are based on these, see _checkConflict
+  this._base = (this.origin && this.origin.getDeepCopy()) || {};
+  _.each(_.keys(this._serverErrors), function (fieldName) {
+    self._clearServerErrors(fieldName);
+  });
+
+  // Failures of before the reset are neither kept nor re-rendered
+  _.each(_.keys(this._ruleErrors), function (fieldName) {
+    self._clearRuleError(fieldName);
+  });
+  this._failures = {};
+  this._warnings = {};
+
+  _.each(this._getFieldNames(), function (fieldName) {
+    _.each(['hasConflict', 'theirValue', 'messages', 'errors', 'warnings', 'invalidAt'], function (property) {
+      self.model.del(fieldName + '.' + property);
+    });
+  });
+
+  if (this.fields) {
+    _.each(this.fields, function (field, fieldName) {
+      // Array items get their state when the array field gets its value
+      if (isItemPattern(fieldName)) {
+        if (field.validations) self._assignValidations(field.validations);
+        return;
+      }
+
+      self._addFieldProperties(fieldName, field);
+    });
+  }
+
+  if(this.origin) this._addFromOrigin();
+
+  _.each(this._getArrayFields(), function (arrayField) {
+    self._resetItems(arrayField);
+  });
+
+  this._setState();
+  this._settingUp = false;
+};
+
+// Listens to changes of the validator's data. Listeners are added once, and removed by destroy().
+Validator.prototype._listen = function () {
+  var self = this;
+
+  this._on('change', function (path, value, previous, passed) {
+    // Values set up from within other model events are passed as such, as their events are only emitted after those
+    if (!_.result(passed, 'validatorSetup') || self._settingUp) return self._onChange(path, value);
+
+    self._settingUp = true;
+    self._onChange(path, value);
+    self._settingUp = false;
+  });
+
+  this._listenToArrays();
+
+  if (this.origin) this._listenToOrigin();
+};
+
+Validator.prototype._onChange = function (path, value) {
+  var segments = path.split('.');
+  var contains = _.contains(segments, 'value');
+  var last = _.last(segments);
+  var field;
+
+  if (contains) {
+    var valueIndex = _.findIndex(segments, function (segment) {
+      return segment === 'value';
+    });
+    
+    field = _.slice(segments, 0, valueIndex).join('.');
+
+    this._onValueChange(field);
+    if (!this._settingUp) this._onArrayValueChange(field, _.slice(segments, valueIndex + 1));
+    
+  } else {
+    field = _.dropRight(segments).join('.');
+  }
+
+  if(last === 'isValid' && this.fields && this.fields[field]) {
+    this._setGroupValidity(field, value);
+  }
+};
+
+Validator.prototype._on = function (event, callback, model) {
+  model = model || this.model;
+
+  this._listeners.push({model: model, event: event, listener: model.on(event, '**', callback)});
+};
+
+// Listens to changes of origin, to detect conflicts with the values being edited
+Validator.prototype._listenToOrigin = function () {
+  var self = this;
+  var originPath = this.origin.path();
+
+  // Listening on the root, as patterns don't match numeric segments such as ids in the origin path
+  _.each(['change', 'insert', 'remove', 'move'], function (event) {
+    self._on(event, function (path) {
+      if (self._committing || self._settingUp) return;
+
+      if (path === originPath) return self._onOriginChange();
+      if (path.indexOf(originPath + '.') === 0) self._onOriginChange(path.slice(originPath.length + 1));
+    }, self.model.root);
+  });
+};
+
+// Checks the fields affected by a change of origin at path, or all fields if the whole document changed
+Validator.prototype._onOriginChange = function (path) {
+  var self = this;
+
+  _.each(this._getFieldNames(), function (fieldName) {
+    if (path && fieldName !== path && fieldName.indexOf(path + '.') !== 0 && path.indexOf(fieldName + '.') !== 0) return;
+
+    self._checkConflict(fieldName);
+  });
+};
+
+/**
+ * Compares a field's value in origin with the value it had when editing started (the base). Fields that haven't been changed are refreshed, unless options.refreshUnchanged is false. Other fields get a conflict, which is resolved according to options.conflictStrategy or left for resolveConflict.
+ * @param {String} fieldName - The name of the field
+ */
+Validator.prototype._checkConflict = function (fieldName) {
+  var base = _.get(this._base, fieldName);
+  var theirs = this.origin.getDeepCopy(fieldName);
+  var mine = this._getParsedValue(fieldName);
+
+  if (_.isEqual(theirs, base)) return this._clearConflict(fieldName);
+
+  if (_.isEqual(mine, theirs)) {
+    this._setBase(fieldName);
+    this._setHasChanged(fieldName);
+    return;
+  }
+
+  if (_.isEqual(mine, base) && this.options.refreshUnchanged !== false) return this._takeTheirs(fieldName);
+
+  this.model.setEach(fieldName, {hasConflict: true, theirValue: theirs});
+  this._setConflictState();
+
+  if (this.options.conflictStrategy && this.options.conflictStrategy !== 'manual') this.resolveConflict(fieldName, this.options.conflictStrategy);
+};
+
+// Sets the field's value to its value in origin, as if it was set up with it
+Validator.prototype._takeTheirs = function (fieldName) {
+  this._setBase(fieldName);
+
+  this._settingUp = true;
+  this.model.pass({validatorSetup: true}).set(fieldName + '.value', this._formatValue(fieldName, this.origin.getDeepCopy(fieldName)));
+  if (_.contains(this._getArrayFields(), fieldName)) this._resetItems(fieldName);
+  this._settingUp = false;
+
+  this._setState();
+};
+
+// Takes the field's current value in origin as the base to detect conflicts against
+Validator.prototype._setBase = function (fieldName) {
+  _.set(this._base, fieldName, this.origin.getDeepCopy(fieldName));
+  this._clearConflict(fieldName);
+};
+
+Validator.prototype._clearConflict = function (fieldName) {
+  if (!this.model.get(fieldName + '.hasConflict')) return;
+
+  this.model.del(fieldName + '.hasConflict');
+  this.model.del(fieldName + '.theirValue');
+  this._setConflictState();
+};
+
+Validator.prototype._setConflictState = function () {
+  var self = this;
+
+  this.model.set('hasConflicts', _.some(this._getFieldNames(), function (fieldName) {
+    return !!self.model.get(fieldName + '.hasConflict');
+  }));
+};
+
+// Updates the changed and dirty state of a field after its value changed, and validates it if it should
+Validator.prototype._onValueChange = function (field) {
+  this._setHasChanged(field);
+  this._expireServerErrors();
+
+  if (this._settingUp) return;
+
+  this.model.setEach(field, {isDirty: true, isPristine: false});
+
+  if (this._shouldValidateOn(field, 'change')) this.validate(field);
+
+  this._revalidateWatchers(field);
+};
+
+// Drops applied errors of fields whose value has changed since, along with their messages
+Validator.prototype._expireServerErrors = function () {
+  var self = this;
+
+  _.each(_.keys(this._serverErrors), function (fieldName) {
+    if (_.isEqual(self._getFieldValue(fieldName), self._serverErrors[fieldName].value)) return;
+
+    self._clearServerErrors(fieldName);
+  });
+};
+
+// Fields left without failures are neither valid nor invalid, until validated again
+Validator.prototype._clearServerErrors = function (fieldName) {
+  var self = this;
+  var serverError = this._serverErrors[fieldName];
+
+  if (!serverError) return;
+
+  delete this._serverErrors[fieldName];
+
+  var failures = this._failures[fieldName] = _.difference(this._failures[fieldName], serverError.failures);
+
+  if (failures.length) {
+    this.model.set(fieldName + '.messages', _.map(failures, function (failure) {
+      return self._renderFailure(fieldName, failure);
+    }));
+    this.model.set(fieldName + '.errors', _.map(failures, function (failure) {
+      return self._renderError(fieldName, failure);
+    }));
+    return this._setState();
+  }
+
+  this.model.del(fieldName + '.messages');
+  this.model.del(fieldName + '.errors');
+  this.model.setEach(fieldName, {isValid: false, isInvalid: false});
+  this._setItemValidity(fieldName);
+  this._setState();
+};
+
+Validator.prototype._setHasChanged = function (field) {
+  var  startValue = (this.origin) ? _.get(this._base, field) : _.get(this.fields, field + '.default');
+
+  if (!_.isEqual(this._getParsedValue(field), startValue)) {
+    this.model.set(field + '.hasChanged', true);
+  } else {
+    this.model.set(field + '.hasChanged', false);
+  }
+
+  this._setChangedState(); 
+};
+
+// Whether a field validates automatically on an event ('change' or 'blur'), according to its validateOn option or the validator's
+Validator.prototype._shouldValidateOn = function (fieldName, event) {
+  var field = this._getFieldDefinition(fieldName);
+
+  if (!field || !(field.validations || field.parse)) return false;
+
+  var validateOn = field.validateOn || this.options.validateOn || 'submit';
+  if (!_.isArray(validateOn)) validateOn = [validateOn];
+
+  if (_.contains(validateOn, event)) return true;
+
+  return event === 'change' && this.model.get('isSubmitted') && _.contains(validateOn, 'changeAfterSubmit');
+};
+
+// Re-validates fields watching the changed field, as long as they have already been validated once
+Validator.prototype._revalidateWatchers = function (changedField) {
+  var self = this;
+
+  _.each(this.fields, function (field, fieldName) {
+    if (isItemPattern(fieldName) || !_.contains(field.watch, changedField)) return;
+
+    if (!self.model.get(fieldName + '.wasValidated')) return;
+
+    // Like any validation, so that the watching field's debounce applies
+    self.validate(fieldName);
+  });
+};
+
+// Names of the array fields implied by item fields, e.g. 'addresses' for 'addresses.*.street'
+Validator.prototype._getArrayFields = function () {
+  return _.uniq(_.map(_.filter(_.keys(this.fields), isItemPattern), function (pattern) {
+    return arrayFieldOf(pattern);
+  }));
+};
+
+/**
+ * Parses the name of an array item field, e.g. 'addresses.items.0.street' for the field 'addresses.*.street'
+ * @param {String} fieldName - The name of the field
+ * @returns {Object|null} - The item field's pattern, array field, index and subpath within the item (e.g. '.street'), or null if it's not an array item field
+ */
+Validator.prototype._parseItemField = function (fieldName) {
+  var item = null;
+
+  _.find(_.filter(_.keys(this.fields), isItemPattern), function (pattern) {
+    var arrayField = arrayFieldOf(pattern);
+    var subpath = itemSubpath(pattern);
+    var match = new RegExp('^' + _.escapeRegExp(arrayField) + '\\.items\\.(\\d+)' + _.escapeRegExp(subpath) + '$').exec(fieldName);
+
+    if (!match) return false;
+
+    item = {pattern: pattern, arrayField: arrayField, index: Number(match[1]), subpath: subpath};
+    return true;
+  });
+
+  return item;
+};
+
+// Names of the fields of the array's items, for all items or the one at index
+Validator.prototype._getItemFields = function (arrayField, index) {
+  var length = (this.model.get(arrayField + '.value') || []).length;
+  var indexes = (typeof index === 'undefined') ? _.range(length) : [index];
+  var itemFields = [];
+
+  _.each(_.filter(_.keys(this.fields), isItemPattern), function (pattern) {
+    if (arrayFieldOf(pattern) !== arrayField) return;
+
+    _.each(indexes, function (i) {
+      itemFields.push(arrayField + '.items.' + i + itemSubpath(pattern));
+    });
+  });
+
+  return itemFields;
+};
+
+/**
+ * Names of all fields with validations, with item patterns expanded to each item of the array
+ * @param {String[]} [only] - Only include these fields, and the items of these array fields
+ * @returns {String[]} - The field names
+ */
+Validator.prototype._getValidatedFields = function (only) {
+  var self = this;
+  var fieldNames = [];
+
+  _.each(this.fields, function (field, fieldName) {
+    if (!field.validations && !field.parse) return;
+
+    if (!isItemPattern(fieldName)) {
+      if (!only || _.contains(only, fieldName)) fieldNames.push(fieldName);
+      return;
+    }
+
+    var arrayField = arrayFieldOf(fieldName);
+    if (only && !_.contains(only, arrayField)) return;
+
+    var subpath = itemSubpath(fieldName);
+
+    _.times((self.model.get(arrayField + '.value') || []).length, function (i) {
+      fieldNames.push(arrayField + '.items.' + i + subpath);
+    });
+  });
+
+  // Fields with applied errors are invalid until they change, with or without validations of their own
+  _.each(_.keys(this._serverErrors), function (fieldName) {
+    var item = self._parseItemField(fieldName);
+
+    if (only && !_.contains(only, item ? item.arrayField : fieldName)) return;
+    if (!_.contains(fieldNames, fieldName)) fieldNames.push(fieldName);
+  });
+
+  return fieldNames;
+};
+
+// The path of the field's value, the opposite of _getFieldForPath
+Validator.prototype._getValuePath = function (fieldName) {
+  var item = this._parseItemField(fieldName);
+
+  return item ? item.arrayField + '.' + item.index + item.subpath : fieldName;
+};
+
+// The name of the field the value at the path belongs to, e.g. 'addresses.items.0.street' for 'addresses.0.street'
+Validator.prototype._getFieldForPath = function (path) {
+  var self = this;
+  var fieldName = null;
+
+  if (!this.fields) return null;
+  if (this.fields[path]) return isItemPattern(path) ? null : path;
+
+  _.find(_.filter(_.keys(this.fields), isItemPattern), function (pattern) {
+    var arrayField = arrayFieldOf(pattern);
+    var subpath = itemSubpath(pattern);
+    var match = new RegExp('^' + _.escapeRegExp(arrayField) + '\\.(\\d+)' + _.escapeRegExp(subpath) + '$').exec(path);
+
+    if (!match || Number(match[1]) >= (self.model.get(arrayField + '.value') || []).length) return false;
+
+    fieldName = arrayField + '.items.' + match[1] + subpath;
+    return true;
+  });
+
+  return fieldName;
+};
+
+Validator.prototype._getFieldDefinition = function (fieldName) {
+  if (!this.fields) return undefined;
+
+  if (this.fields[fieldName]) return this.fields[fieldName];
+
+  var item = this._parseItemField(fieldName);
+
+  return item ? this.fields[item.pattern] : undefined;
+};
+
+Validator.prototype._getValidations = function (fieldName) {
+  var item = this._parseItemField(fieldName);
+
+  if (item) return this.fields[item.pattern].validations;
+
+  return _.result(this.model.get(fieldName), 'validations');
+};
+
+// Array items keep their values in the array field's value, e.g. 'addresses.value.0.street' for 'addresses.items.0.street'
+Validator.prototype._getFieldValue = function (fieldName) {
+  var item = this._parseItemField(fieldName);
+
+  if (item) return this.model.get(item.arrayField + '.value.' + item.index + item.subpath);
+
+  return this.model.get(fieldName + '.value');
+};
+
+// Creates empty item state for each item of the array field's value
+Validator.prototype._resetItems = function (arrayField) {
+  var length = (this.model.get(arrayField + '.value') || []).length;
+
+  this._abortItems(arrayField);
+  this._reindexItems(arrayField, []);
+  this.model.set(arrayField + '.items', _.map(_.range(length), function () {
+    return {};
+  }));
+};
+
+Validator.prototype._setItemValidity = function (fieldName) {
+  var self = this;
+  var item = this._parseItemField(fieldName);
+
+  if (!item || !item.subpath) return;
+
+  var itemFields = this._getItemFields(item.arrayField, item.index);
+
+  this.model.setEach(item.arrayField + '.items.' + item.index, {
+    isInvalid: _.some(itemFields, function (itemField) {
+      return !!self.model.get(itemField + '.isInvalid');
+    }),
+    isValid: _.every(itemFields, function (itemField) {
+      return !!self.model.get(itemField + '.isValid');
+    })
+  });
+};
+
+// Handles changes of array field values, as a whole or of a single item
+Validator.prototype._onArrayValueChange = function (field, subsegments) {
+  var self = this;
+
+  if (!_.contains(this._getArrayFields(), field)) return;
+
+  if (!subsegments.length) {
+    this._resetItems(field);
+    this._setState();
+    return;
+  }
+
+  var changed = '.' + _.rest(subsegments).join('.');
+
+  _.each(this._getItemFields(field, Number(subsegments[0])), function (itemField) {
+    var subpath = self._parseItemField(itemField).subpath;
+
+    // The item field is affected if the change is within it, or if it is within what changed
+    if (subpath.indexOf(changed) !== 0 && changed.indexOf(subpath) !== 0) return;
+
+    if (self._shouldValidateOn(itemField, 'change')) self.validate(itemField);
+  });
+};
+
+// Keeps item state in line with inserts, removes and moves in array field values
+Validator.prototype._listenToArrays = function () {
+  var self = this;
+
+  function changedArrayField(path) {
+    var arrayField = _.find(self._getArrayFields(), function (arrayField) {
+      return path === arrayField + '.value';
+    });
+
+    // Other arrays within values only change the value of their field
+    if (!arrayField && _.contains(path.split('.'), 'value')) self._onValueChange(path.slice(0, path.indexOf('.value')));
+
+    return arrayField;
+  }
+
+  this._on('insert', function (path, index, values) {
+    var arrayField = changedArrayField(path);
+    if (!arrayField) return;
+
+    var order = _.range(self.model.get(path).length - values.length);
+    order.splice.apply(order, [index, 0].concat(_.fill(Array(values.length), -1)));
+
+    self._abortItems(arrayField);
+    self._reindexItems(arrayField, order);
+    self.model.insert(arrayField + '.items', index, _.map(values, function () {
+      return {};
+    }));
+    self._setState();
+    self._onValueChange(arrayField);
+  });
+
+  this._on('remove', function (path, index, removed) {
+    var arrayField = changedArrayField(path);
+    if (!arrayField) return;
+
+    var order = _.range(self.model.get(path).length + removed.length);
+    order.splice(index, removed.length);
+
+    self._abortItems(arrayField);
+    self._reindexItems(arrayField, order);
+    self.model.remove(arrayField + '.items', index, removed.length);
+    self._setState();
+    self._onValueChange(arrayField);
+  });
+
+  this._on('move', function (path, from, to, howMany) {
+    var arrayField = changedArrayField(path);
+    if (!arrayField) return;
+
+    var order = _.range(self.model.get(path).length);
+    var moved = order.splice(from, howMany);
+    order.splice.apply(order, [to, 0].concat(moved));
+
+    self._abortItems(arrayField);
+    self._reindexItems(arrayField, order);
+    self.model.move(arrayField + '.items', from, to, howMany);
+    self._onValueChange(arrayField);
+  });
+};
+
+// Aborts running and pending validations of the array's items, as their indexes are about to change
+Validator.prototype._abortItems = function (arrayField) {
+  var self = this;
+
+  _.each(_.keys(this._abortControllers).concat(_.keys(this._debounced)), function (fieldName) {
+    var item = self._parseItemField(fieldName);
+    if (!item || item.arrayField !== arrayField) return;
+
+    self._abort(fieldName);
+
+    var callback = self._takeDebounced(fieldName);
+    if (callback) callback(false);
+  });
+};
+
+/**
+ * Moves kept failures and rule errors of the array's items to their new indexes
+ * @param {String} arrayField - The name of the array field
+ * @param {Number[]} order - The old index of the item at each new index, -1 for new items. Items not in it are dropped.
+ */
+Validator.prototype._reindexItems = function (arrayField, order) {
+  var self = this;
+
+  _.each([this._failures, this._warnings, this._ruleErrors, this._serverErrors], function (kept) {
+    var moved = {};
+
+    _.each(_.keys(kept), function (fieldName) {
+      var item = self._parseItemField(fieldName);
+      if (!item || item.arrayField !== arrayField) return;
+
+      var index = order.indexOf(item.index);
+      if (index > -1) moved[arrayField + '.items.' + index + item.subpath] = kept[fieldName];
+
+      delete kept[fieldName];
+    });
+
+    _.assign(kept, moved);
+  });
+};
+
+Validator.prototype._setGroupValidity = function (field, value) {
+  var group = this.fields[field].group || 'default';
+  var path = 'groups.' + group + '.isValid';
+  var currentlyValid = this.model.get(path);
+
+  // No change in status
+  if(currentlyValid == value) return;
+
+  // It was true, now it's not valid anymore
+  if(!value) this.model.set(path, false);
+
+  // It was false, but might be true now if all others are also true
+  var self = this;
+  var allValid = _.every(this.fields, function (field, key) {
+    var fieldGroup = field.group || 'default';
+
+    if(fieldGroup !== group) return true;
+
+    if(!self.model.get(key + '.isInvalid')) return true;
+
+    return false;
+  });
+
+  if(!allValid) return;
+
+  this.model.set(path, true);
+};
+
+// Names of the fields in the group, not counting array items
+Validator.prototype._getGroupFields = function (group) {
+  var self = this;
+
+  return _.filter(_.keys(this.fields), function (fieldName) {
+    return !isItemPattern(fieldName) && (self.fields[fieldName].group || 'default') === group;
+  });
+};
+
+// Sets the group's validity from the fields in it, or removes the group if none of them are validated anymore
+Validator.prototype._updateGroupValidity = function (group) {
+  var self = this;
+  var fieldNames = _.filter(this._getGroupFields(group), function (fieldName) {
+    return self.fields[fieldName].validations;
+  });
+
+  if (!fieldNames.length) return this.model.del('groups.' + group);
+
+  this.model.set('groups.' + group + '.isValid', !_.some(fieldNames, function (fieldName) {
+    return self.model.get(fieldName + '.isInvalid');
+  }));
+};
+
+Validator.prototype._addFromOrigin = function () {
+  var self = this;
+  var fieldsObject = this._getFieldsObject();
+
+  function add(collection, segments, fieldsObject) {
+    _.each(collection, function (value, fieldName) {
+      var newSegments = segments.concat([fieldName]);
+      var path = newSegments.join('.');
+
+      if(!fieldsObject || fieldsObject[fieldName] === true || typeof fieldsObject[fieldName] === 'undefined') {
+        self.model.setEach(path, _.assign({value: self._formatValue(path, value)}, initialFieldState()));
+        return;
+      }
+
+      add(value, newSegments, fieldsObject[fieldName]);
+    });
+  }
+
+  add(this.origin.getDeepCopy(), [], fieldsObject);
+};
+
+Validator.prototype._addFieldProperties = function (fieldName, field) {
+  var data = _.assign({value: null}, initialFieldState());
+
+  if(field) {
+    data.value = this._formatValue(fieldName, _.cloneDeep(field.default));
+
+    if(field.validations || field.parse) _.assign(data, this._getValidationProperties(fieldName, field.validations && this._assignValidations(field.validations)));
+  }
+
+  this.model.setEach(fieldName, data);
+};
+
+Validator.prototype._getValidationProperties = function (fieldName, validations) {
+  var self = this;
+
+  return {
+    validations: validations,
+    isValid: false,
+    isInvalid: false,
+    validate: function (callback) {
+      return self.validate(fieldName, callback);
+    }
+  };
+};
+
+// Removes the field's data, along with parents that are left empty, e.g. 'company' when removing 'company.name'
+Validator.prototype._delFieldData = function (fieldName) {
+  var segments = fieldName.split('.');
+
+  this.model.del(fieldName);
+
+  while (segments.length > 1) {
+    segments.pop();
+
+    if (!_.isEmpty(this.model.get(segments.join('.')))) return;
+
+    this.model.del(segments.join('.'));
+  }
+};
+
+// Removes a field of array items, along with its state in each item
+Validator.prototype._removeItemField = function (pattern) {
+  var self = this;
+  var arrayField = arrayFieldOf(pattern);
+
+  _.each(this._getItemFields(arrayField), function (itemField) {
+    if (self._parseItemField(itemField).pattern !== pattern) return;
+
+    self._clearValidity(itemField);
+    self._delItemState(itemField);
+  });
+
+  delete this.fields[pattern];
+
+  this._setItemsValidity(arrayField);
+  this._setState();
+};
+
+Validator.prototype._delItemState = function (itemField) {
+  var self = this;
+
+  // Fields for whole items keep their state in the item itself
+  if (!this._parseItemField(itemField).subpath) {
+    return _.each(['messages', 'errors', 'invalidAt', 'isValid', 'isInvalid', 'wasValidated', 'serial'], function (property) {
+      self.model.del(itemField + '.' + property);
+    });
+  }
+
+  this.model.del(itemField);
+};
+
+// Aggregates the validity of each item of the array field from its remaining item fields
+Validator.prototype._setItemsValidity = function (arrayField) {
+  var self = this;
+
+  _.times(this.model.get(arrayField + '.items.length'), function (index) {
+    var itemFields = _.filter(self._getItemFields(arrayField, index), function (itemField) {
+      return self._parseItemField(itemField).subpath;
+    });
+
+    if (itemFields.length) return self._setItemValidity(itemFields[0]);
+
+    self.model.del(arrayField + '.items.' + index + '.isValid');
+    self.model.del(arrayField + '.items.' + index + '.isInvalid');
+  });
+};
+
+// Stops validating the field and forgets its failures and rule errors
+Validator.prototype._clearValidity = function (fieldName) {
+  var callback = this._takeDebounced(fieldName);
+  if (callback) callback(false);
+
+  this._abort(fieldName);
+  delete this._failures[fieldName];
+  delete this._warnings[fieldName];
+  delete this._serverErrors[fieldName];
+  this._clearRuleError(fieldName);
+  this.model.del(fieldName + '.messages');
+  this.model.del(fieldName + '.errors');
+  this.model.del(fieldName + '.warnings');
+  this.model.del(fieldName + '.invalidAt');
+};
+
+Validator.prototype._validate = function (fieldName, callback) {
+  callback = this._takeDebounced(fieldName, callback);
+  this._abort(fieldName);
+
+  this.model.del(fieldName + '.messages');
+  this.model.del(fieldName + '.errors');
+  this.model.del(fieldName + '.warnings');
+  this._failures[fieldName] = [];
+  this._warnings[fieldName] = [];
+  this._clearRuleError(fieldName);
+  this.model.set(fieldName + '.validating', true);
+  var serial = this.model.increment(fieldName + '.serial');
+  var self = this;
+
+  // Applied errors come first, as they are kept until the value changes
+  var serverError = this._serverErrors[fieldName];
+  _.each(serverError && serverError.failures, function (failure) {
+    self._addFailure(fieldName, failure);
+  });
+
+  var definition = this._getFieldDefinition(fieldName);
+  var parsed = this._pipe(definition && definition.parse, this._getFieldValue(fieldName), fieldName);
+
+  // Values that can't be parsed are invalid, without running any rules
+  if (parsed.failed) {
+    this._addFailure(fieldName, {
+      validation: {ruleName: parsed.failed, message: definition.parseMessage, args: []},
+      value: this._getFieldValue(fieldName)
+    });
+    this._setValidity(fieldName, false);
+    this.model.set(fieldName + '.wasValidated', true);
+    if (callback) callback(false);
+    this.model.del(fieldName + '.validating');
+    return;
+  }
+
+  var validations = this._getValidations(fieldName);
+  if (!validations) {
+    if ((definition && definition.parse) || serverError) this._setValidity(fieldName, !serverError);
+    if (serverError) this.model.set(fieldName + '.wasValidated', true);
+    if (callback) callback(!serverError);
+    this.model.del(fieldName + '.validating');
+    return;
+  }
+
+  var value = parsed.value;
+  var controller = this._abortControllers[fieldName] = createAbortController();
+
+  var passed = [];
+  var waiting = [];
+
+  function settle(index, valid) {
+    passed[index] = valid;
+
+    _.each(waiting.slice(), function (run) {
+      run();
+    });
+  }
+
+  var validating = _.map(validations, function (validation, index) {
+    var check = self._check(fieldName, value, validation, serial, self, controller.signal);
+    var prerequisites = [];
+
+    _.each(validation.dependsOn, function (name) {
+      _.each(validations, function (other, otherIndex) {
+        if (other.name === name) prerequisites.push(otherIndex);
+      });
+    });
+
+    return function (asyncCallback) {
+      // Dependent validations wait for their prerequisites and are skipped (without adding a message) if any of them failed
+      function run() {
+        var ready = _.every(prerequisites, function (prerequisite) {
+          return typeof passed[prerequisite] !== 'undefined';
+        });
+
+        if (!ready) return false;
+
+        _.pull(waiting, run);
+
+        if (!_.every(prerequisites, function (prerequisite) { return passed[prerequisite]; })) {
+          settle(index, false);
+          asyncCallback(null);
+          return true;
+        }
+
+        // Failures are results rather than errors, so that all checks finish before the field's validity is set
+        check(function (err) {
+          settle(index, !err);
+          asyncCallback(null, err || null);
+        });
+
+        return true;
+      }
+
+      if (!run()) waiting.push(run);
+    };
+  });
+
+  async.parallel(validating, function (err, results) {
+    // A failed rule makes the field invalid, even if another rule errored
+    err = _.find(results, function (result) {
+      return result === true;
+    }) || _.find(results, function (result) {
+      return result instanceof Error;
+    });
+    var valid = !err && !serverError;
+    var current = (serial === self.model.get(fieldName + '.serial'));
+
+    if (self._abortControllers[fieldName] === controller) delete self._abortControllers[fieldName];
+
+    // A rule that throws or times out leaves the field neither valid nor invalid
+    if (current && err instanceof Error) {
+      self._setErrored(fieldName);
+    } else if (current) {
+      self._setValidity(fieldName, valid);
+    }
+
+    if (current) self.model.set(fieldName + '.wasValidated', true);
+
+    if (callback) callback(valid);
+    if (current) self.model.del(fieldName + '.validating');
+  });
+};
+
+// Delays validation until the field hasn't been validated for `wait` milliseconds. All callers are called back with the result.
+Validator.prototype._debounce = function (fieldName, wait, callback) {
+  var self = this;
+  var debounced = this._debounced[fieldName] || (this._debounced[fieldName] = {callbacks: []});
+
+  // Whatever is running now is about to be stale
+  this._abort(fieldName);
+
+  clearTimeout(debounced.timer);
+  debounced.callbacks.push(callback);
+  debounced.timer = setTimeout(function () {
+    self._validate(fieldName);
+  }, wait);
+};
+
+// Cancels a pending debounced validation of the field, returning a callback that also calls back its callers
+Validator.prototype._takeDebounced = function (fieldName, callback) {
+  var debounced = this._debounced[fieldName];
+
+  if (!debounced) return callback;
+
+  clearTimeout(debounced.timer);
+  delete this._debounced[fieldName];
+
+  var callbacks = callback ? debounced.callbacks.concat([callback]) : debounced.callbacks;
+
+  return function (valid) {
+    _.each(callbacks, function (cb) {
+      cb(valid);
+    });
+  };
+};
+
+// Aborts a running validation of the field. Its results are ignored and rules get notified through their abort signal.
+Validator.prototype._abort = function (fieldName) {
+  var controller = this._abortControllers[fieldName];
+
+  if (!controller) return;
+
+  delete this._abortControllers[fieldName];
+  this.model.increment(fieldName + '.serial');
+  controller.abort();
+};
+
+Validator.prototype._assignValidations = function (validations) {
+  for (var i = 0; i < validations.length; i++) {
+    var validation = validations[i];
+    var ruleName = null;
+
+    if (typeof validation.rule === 'string') {
+      var reference = parseRuleReference(validation.rule);
+
+      ruleName = reference.name;
+      if (reference.args.length) validation.args = reference.args.concat(validation.args || []);
+    }
+
+    validation.args = validation.args || [];
+    validation.ruleName = validation.ruleName || ruleName;
+
+    if (ruleName) {
+      if (!validation.name) validation.name = ruleName;
+
+      validation.rule = this._getRule(ruleName);
+    }
+
+    if (typeof validation.rule !== 'function' && !_.isRegExp(validation.rule)) throw new Error('This rule is not (or does not point to) a RegEx or a function.');
+
+    this._assignDependencies(validations, i);
+  }
+
+  return validations;
+};
+
+Validator.prototype._assignDependencies = function (validations, index) {
+  var validation = validations[index];
+  var dependsOn = validation.dependsOn || validation.after;
+
+  if (!dependsOn) return;
+
+  validation.dependsOn = _.isArray(dependsOn) ? dependsOn : [dependsOn];
+  delete validation.after;
+
+  _.each(validation.dependsOn, function (name) {
+    var declaredBefore = _.some(validations.slice(0, index), {name: name});
+
+    if (!declaredBefore) throw new Error('Validation depends on "' + name + '", which must be declared before it on the same field.');
+  });
+};
+
+/**
+ * Runs a parse or format pipeline on a value
+ * @param {String|Function|Array} [pipeline] - Names of transforms (see options.transforms) and/or functions, called in order with the value and the field name
+ * @returns {Object} - The resulting value, or the name of the transform that failed ('parse' for functions)
+ */
+Validator.prototype._pipe = function (pipeline, value, fieldName) {
+  var self = this;
+  var result = {value: value};
+
+  _.find([].concat(pipeline || []), function (transform) {
+    var fn = (typeof transform === 'function') ? transform : self._getTransform(transform);
+
+    try {
+      result.value = fn(result.value, fieldName);
+    } catch (err) {
+      result.failed = (typeof transform === 'function') ? 'parse' : transform;
+      return true;
+    }
+
+    return false;
+  });
+
+  return result;
+};
+
+/**
+ * Applies the parse or format pipelines of fields to values, including fields of array items
+ * @param {String} key - 'parse' or 'format'
+ * @param {Object} values - The values, nested according to the (dotted) field names. Left as they are, as they may be the values being edited.
+ * @param {String[]} [fieldNames] - Only apply the pipelines of these fields, and of the items of these array fields
+ * @returns {Object} - A copy of the values, piped
+ */
+Validator.prototype._applyPipelines = function (key, values, fieldNames) {
+  var self = this;
+
+  values = _.cloneDeep(values);
+
+  function apply(path, pipeline, fieldName) {
+    if (!_.has(values, path)) return;
+
+    var piped = self._pipe(pipeline, _.get(values, path), fieldName);
+    if (!piped.failed) _.set(values, path, piped.value);
+  }
+
+  _.each(this.fields, function (field, fieldName) {
+    if (!field[key]) return;
+
+    if (!isItemPattern(fieldName)) {
+      if (!fieldNames || _.contains(fieldNames, fieldName)) apply(fieldName, field[key], fieldName);
+      return;
+    }
+
+    var arrayField = arrayFieldOf(fieldName);
+    var subpath = itemSubpath(fieldName);
+
+    if (fieldNames && !_.contains(fieldNames, arrayField)) return;
+
+    _.times((_.get(values, arrayField) || []).length, function (i) {
+      apply(arrayField + '.' + i + subpath, field[key], arrayField + '.items.' + i + subpath);
+    });
+  });
+
+  return values;
+};
+
+// The value of a field as it is written to origin
+Validator.prototype._getParsedValue = function (fieldName) {
+  var values = _.set({}, fieldName, this.model.get(fieldName + '.value'));
+
+  return _.get(this._applyPipelines('parse', values, [fieldName]), fieldName);
+};
+
+// A value from origin or a default, as it is edited
+Validator.prototype._formatValue = function (fieldName, value) {
+  var values = _.set({}, fieldName, value);
+
+  return _.get(this._applyPipelines('format', values, [fieldName]), fieldName);
+};
+
+Validator.prototype._getTransform = function (name) {
+  if(this.options.transforms.hasOwnProperty(name)) return this.options.transforms[name];
+
+  if(defaultTransforms.hasOwnProperty(name)) return defaultTransforms[name];
+
+  throw new Error('Transform: "' + name + '" is not available. You need to add it as an option.');
+};
+
+Validator.prototype._getRule = function (ruleName) {
+  if(this.options.rules[ruleName]) return this.options.rules[ruleName];
+
+  // Some default messages, e.g. error and parse, belong to no rule
+  if(defaultValidations.hasOwnProperty(ruleName) && defaultValidations[ruleName].rule) return defaultValidations[ruleName].rule;
+
+  throw new Error('Rule: "' + ruleName + '" is not available. You need to add it as an option.');
+};
+
+// Resolves a message through the field specific message, the current locale, the options and the default messages, in that order
+Validator.prototype._getMessage = function (ruleName, message) {
+  var catalog = this.options.locales[this.locale] || {};
+  var messages = this.options.messages;
+
+  if (_.isPlainObject(message)) message = message[this.locale];
+
+  function lookup(name) {
+    return catalog[name] || messages[name] || (defaultValidations.hasOwnProperty(name) && defaultValidations[name].message);
+  }
+
+  return message || lookup(ruleName) || lookup('default');
+};
+/**
+ * Renders a message for a field
+ * @param {String} fieldName - The name of the field
+ * @param {String|Function} message - Either a template where {field}, {label}, {value}, {0}, {1}, ... and {args} are replaced, or a function called with the value, the field name and the rule arguments, returning the message
+ * @param {*} value - The value that was validated
+ * @param {Array} [args] - The arguments of the rule
+ * @returns {String} - The message
+ */
+Validator.prototype._renderMessage = function (fieldName, message, value, args) {
+  args = args || [];
+
+  if (typeof message === 'function') return message(value, fieldName, args);
+
+  return interpolate(message, {
+    field: fieldName,
+    label: this._getLabel(fieldName),
+    value: value,
+    args: args
+  });
+};
+
+Validator.prototype._addFailure = function (fieldName, failure) {
+  var failures = this._failures[fieldName] = this._failures[fieldName] || [];
+  var index = this._getFailureIndex(fieldName, failures, failure);
+
+  failures.splice(index, 0, failure);
+  this.model.insert(fieldName + '.messages', index, this._renderFailure(fieldName, failure));
+  this.model.insert(fieldName + '.errors', index, this._renderError(fieldName, failure));
+
+  // Failures added to a field that is already invalid, e.g. by setInvalid, are not followed by a change of validity
+  if (this.model.get(fieldName + '.isInvalid')) this._setErrorSummary();
+};
+
+Validator.prototype._addWarning = function (fieldName, failure) {
+  var warnings = this._warnings[fieldName] = this._warnings[fieldName] || [];
+  var index = this._getFailureIndex(fieldName, warnings, failure);
+
+  warnings.splice(index, 0, failure);
+  this.model.insert(fieldName + '.warnings', index, this._renderFailure(fieldName, failure));
+};
+
+// Where to add a failure for it to be in the order its validation is declared, as rules may finish in any order. Failures of no declared validation stay where they were added.
+Validator.prototype._getFailureIndex = function (fieldName, failures, failure) {
+  var validations = this._getValidations(fieldName) || [];
+  var position = _.indexOf(validations, failure.validation);
+
+  if (position === -1) return failures.length;
+
+  var index = _.findIndex(failures, function (other) {
+    return _.indexOf(validations, other.validation) > position;
+  });
+
+  return index === -1 ? failures.length : index;
+};
+
+Validator.prototype._renderFailure = function (fieldName, failure) {
+  var validation = failure.validation;
+
+  if (!validation) return this._renderMessage(fieldName, this._getMessage(null, failure.message), failure.value);
+
+  return this._renderMessage(fieldName, this._getMessage(validation.ruleName, failure.message || validation.message), failure.value, validation.args);
+};
+
+// Describes a failure by its validation's name, code and arguments along with the message, e.g. for templates and APIs
+Validator.prototype._renderError = function (fieldName, failure) {
+  var validation = failure.validation || {};
+  var rule = validation.name || validation.ruleName || null;
+
+  return {
+    rule: rule,
+    code: validation.code || rule || (failure.server ? 'server' : 'invalid'),
+    message: this._renderFailure(fieldName, failure),
+    params: validation.args || []
+  };
+};
+
+Validator.prototype._getLabel = function (fieldName) {
+  return _.result(this._getFieldDefinition(fieldName), 'label') || fieldName;
+};
+
+Validator.prototype._check = function (fieldName, value, validation, serial, context, signal) {
+  return function (callback) {
+    var settled = false;
+    var timeout = validation.timeout || context.options.timeout;
+    var timer;
+
+    // Aborted checks are settled right away, as stale
+    signal.addEventListener('abort', function () {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+
+      callback(true);
+    });
+
+    var setError = function (error) {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+
+      if (serial === context.model.get(fieldName + '.serial')) context._setRuleError(fieldName, {validation: validation, value: value, error: error});
+
+      callback(error);
+    };
+
+    var setValidity = function (valid, invalidResult) {
+      // A rule might both return its result and call back, only the first one counts
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+
+      var current = (serial === context.model.get(fieldName + '.serial'));
+      var message;
+
+      // Result objects, e.g. {valid: false, message: 'Taken.'}
+      if (_.isPlainObject(valid)) {
+        message = valid.message;
+        invalidResult = valid.invalidAt;
+        valid = !!valid.valid;
+      }
+
+      // Warnings and infos are shown, but don't make the field invalid
+      if (current && !valid && isNotice(validation)) {
+        context._addWarning(fieldName, {validation: validation, value: value, message: message});
+        return callback(null, true);
+      }
+
+      if (current && !valid) context._addFailure(fieldName, {validation: validation, value: value, message: message});
+
+      if (current && invalidResult) context.model.set(fieldName + '.invalidAt', invalidResult);
+      
+      callback(current && valid ? null : true, valid);
+    };
+
+    if (_.isRegExp(validation.rule)) setValidity(validation.rule.test(value));
+
+    if (typeof validation.rule !== 'function') return;
+
+    if (timeout) {
+      timer = setTimeout(function () {
+        setError(new Error('Validation timed out after ' + timeout + 'ms.'));
+      }, timeout);
+    }
+
+    var result;
+
+    try {
+      result = validation.rule(value, setValidity, context.getValues(), fieldName, validation.args, signal);
+    } catch (err) {
+      // Errors thrown after the rule called back come from the callbacks, not the rule
+      if (settled) throw err;
+
+      return setError(err);
+    }
+
+    if (result && typeof result.then === 'function') {
+      result.then(setValidity, function (err) {
+        setError(err instanceof Error ? err : new Error(err));
+      });
+    } else if (typeof result !== 'undefined') {
+      setValidity(result);
+    }
+  };
+};
+
+Validator.prototype._setValidity = function (fieldName, validity) {
+  this.model.setEach(fieldName, { isInvalid: !validity, isValid: validity });
+  if (validity) this.model.del(fieldName + '.invalidAt');
+
+  this._setItemValidity(fieldName);
+  this._setState();
+};
+
+Validator.prototype._setErrored = function (fieldName) {
+  this.model.setEach(fieldName, { isInvalid: false, isValid: false });
+
+  this._setItemValidity(fieldName);
+  this._setState();
+};
+
+Validator.prototype._setRuleError = function (fieldName, ruleError) {
+  this._ruleErrors[fieldName] = ruleError;
+  this.model.setEach(fieldName, { hasError: true, errorMessage: this._renderRuleError(fieldName, ruleError) });
+};
+
+Validator.prototype._clearRuleError = function (fieldName) {
+  if (!this._ruleErrors[fieldName]) return;
+
+  delete this._ruleErrors[fieldName];
+  this.model.del(fieldName + '.hasError');
+  this.model.del(fieldName + '.errorMessage');
+};
+
+Validator.prototype._renderRuleError = function (fieldName, ruleError) {
+  var validation = ruleError.validation;
+
+  return this._renderMessage(fieldName, this._getMessage('error', validation.errorMessage), ruleError.value, validation.args);
+};
+
+Validator.prototype._setState = function() {
+  var self = this;
+  var invalidItems = _.some(this._getArrayFields(), function (arrayField) {
+    return _.some(self.model.get(arrayField + '.items'), {isInvalid: true});
+  });
+  // Fields with dotted names keep their state nested, e.g. in company.name
+  var invalidFields = _.some(_.keys(this.fields), function (fieldName) {
+    return !isItemPattern(fieldName) && !!self.model.get(fieldName + '.isInvalid');
+  });
+
+  this.model.set('hasInvalidFields', invalidItems || invalidFields || !!_.result(_.find(this.model.get(), {'isInvalid': true}), 'isInvalid'));
+
+  this._setWarningState();
+  this._setErrorSummary();
+};
+
+// Lists the invalid fields with their labels and messages in declaration order, items by index, for showing them all at once
+Validator.prototype._setErrorSummary = function () {
+  var self = this;
+  var arrayFields = {};
+  var fieldNames = [];
+
+  _.each(_.keys(this.fields), function (fieldName) {
+    if (!isItemPattern(fieldName)) return fieldNames.push(fieldName);
+
+    var arrayField = arrayFieldOf(fieldName);
+    if (arrayFields[arrayField]) return;
+
+    arrayFields[arrayField] = true;
+    fieldNames = fieldNames.concat(_.sortBy(self._getItemFields(arrayField), function (itemField) {
+      return self._parseItemField(itemField).index;
+    }));
+  });
+
+  var summary = _.map(_.filter(fieldNames, function (fieldName) {
+    return self.model.get(fieldName + '.isInvalid');
+  }), function (fieldName) {
+    return {
+      field: fieldName,
+      label: self._getLabel(fieldName),
+      // A copy, as messages are pushed to the field's own array
+      messages: (self.model.get(fieldName + '.messages') || []).slice()
+    };
+  });
+
+  this.model.set('errorSummary', summary);
+
+  if (summary.length) this.model.set('firstInvalidField', summary[0].field);
+  else this.model.del('firstInvalidField');
+};
+
+// Sets hasWarnings for the validator and each group. Infos don't count as warnings, and neither do array items for groups.
+Validator.prototype._setWarningState = function () {
+  var self = this;
+  var groups = {};
+
+  var fieldNames = _.filter(_.keys(this._warnings), function (fieldName) {
+    return _.some(self._warnings[fieldName], function (warning) {
+      return warning.validation.severity === 'warning';
+    });
+  });
+
+  _.each(fieldNames, function (fieldName) {
+    if (self._parseItemField(fieldName)) return;
+
+    groups[_.result(self._getFieldDefinition(fieldName), 'group') || 'default'] = true;
+  });
+
+  this.model.set('hasWarnings', fieldNames.length > 0);
+
+  _.each(_.uniq(_.map(this.fields, function (field) {
+    return field.group || 'default';
+  })), function (group) {
+    if (groups[group] || self.model.get('groups.' + group)) self.model.set('groups.' + group + '.hasWarnings', !!groups[group]);
+  });
+};
+
+Validator.prototype._setChangedState = function() {
+  function find(collection, property) {
+    return _.findKey(collection, function (field, fieldName) {
+      if (field.hasOwnProperty('value')) {
+        return field[property];
       }
       
       if (typeof field === 'object') return find(field, property);
@@ -427,3 +2247,143 @@ Validator.prototype._setChangedState = function() {
 
   this.model.set('hasChangedFields', !!find(this.model.get(), 'hasChanged'));
 };
+
+/**
+ * Merges the changes of two values since their base. Changes to different properties of objects are merged recursively.
+ * @returns {Object} - The merged value, and whether there was a conflict (both changed the same value)
+ */
+function merge(base, mine, theirs) {
+  if (_.isEqual(mine, base)) return {value: theirs, conflict: false};
+
+  if (_.isEqual(theirs, base) || _.isEqual(mine, theirs)) return {value: mine, conflict: false};
+
+  if (!_.isPlainObject(mine) || !_.isPlainObject(theirs)) return {value: mine, conflict: true};
+
+  var merged = {value: {}, conflict: false};
+
+  _.each(_.union(_.keys(base), _.keys(mine), _.keys(theirs)), function (key) {
+    var property = merge(_.isPlainObject(base) ? base[key] : undefined, mine[key], theirs[key]);
+
+    if (property.conflict) merged.conflict = true;
+    if (typeof property.value !== 'undefined') merged.value[key] = property.value;
+  });
+
+  return merged;
+}
+
+// Flattens nested errors to messages by dotted path. A string or an array of strings are the messages of a path.
+function flattenErrors(errors, prefix) {
+  var flat = {};
+
+  _.each(errors, function (messages, key) {
+    var path = prefix ? prefix + '.' + key : String(key);
+
+    if (_.isString(messages)) messages = [messages];
+
+    if (_.isArray(messages) && messages.length && _.every(messages, _.isString)) {
+      flat[path] = messages;
+    } else if (_.isObject(messages)) {
+      _.assign(flat, flattenErrors(messages, path));
+    }
+  });
+
+  return flat;
+}
+
+function isNotice(validation) {
+  return validation.severity === 'warning' || validation.severity === 'info';
+}
+
+// Parses rule references such as 'between:1,10' into a rule name and its arguments. Numeric arguments are converted to numbers.
+function parseRuleReference(reference) {
+  var separator = reference.indexOf(':');
+
+  if (separator < 0) return {name: reference, args: []};
+
+  var args = _.map(reference.slice(separator + 1).split(','), function (arg) {
+    arg = arg.trim();
+
+    return (arg !== '' && isFinite(arg)) ? Number(arg) : arg;
+  });
+
+  return {name: reference.slice(0, separator), args: args};
+}
+
+// Whether a field name is a pattern for the items of an array, e.g. 'addresses.*.street'
+function isItemPattern(fieldName) {
+  return _.contains(fieldName.split('.'), '*');
+}
+
+// The array field of an item pattern, e.g. 'addresses' for 'addresses.*.street'
+function arrayFieldOf(pattern) {
+  return pattern.slice(0, pattern.indexOf('.*'));
+}
+
+// The path within each item of an item pattern, e.g. '.street' for 'addresses.*.street' and '' for 'tags.*'
+function itemSubpath(pattern) {
+  return pattern.slice(pattern.indexOf('.*') + 2);
+}
+
+// The state of a field that hasn't been interacted with
+function initialFieldState() {
+  return {
+    isTouched: false,
+    isDirty: false,
+    isPristine: true,
+    wasValidated: false
+  };
+}
+
+// Uses AbortController where available, so that rules can pass the signal on to e.g. fetch
+function createAbortController() {
+  if (typeof AbortController !== 'undefined') return new AbortController();
+
+  var listeners = [];
+  var signal = {
+    aborted: false,
+    addEventListener: function (type, listener) {
+      if (type === 'abort') listeners.push(listener);
+    },
+    removeEventListener: function (type, listener) {
+      _.pull(listeners, listener);
+    }
+  };
+
+  return {
+    signal: signal,
+    abort: function () {
+      if (signal.aborted) return;
+
+      signal.aborted = true;
+      _.each(listeners.slice(), function (listener) {
+        listener();
+      });
+    }
+  };
+}
+
+// Calls fn with a callback, returning a Promise resolved with the first argument passed to it
+function promised(fn) {
+  return new Promise(function (resolve) {
+    fn(resolve);
+  });
+}
+
+// Replaces {0}, {1}, ... with the rule argument at that index, {args} with all of them and any other {key} with that parameter
+function interpolate(message, params) {
+  return message.replace(/\{(\w+)\}/g, function (placeholder, key) {
+    if (key === 'args') return _.map(params.args, formatParam).join(', ');
+
+    if (/^\d+$/.test(key)) return (key < params.args.length) ? formatParam(params.args[key]) : placeholder;
+
+    return params.hasOwnProperty(key) ? formatParam(params[key]) : placeholder;
+  });
+}
+
+function formatParam(param) {
+  if (param === null || typeof param === 'undefined') return '';
+
+  if (_.isArray(param)) return _.map(param, formatParam).join(', ');
+
+  return String(param);
+}
@@ -0,0 +1,19 @@
+var _ = require('lodash');
+
+// Checks on values shared by rules, transforms and schema validations
+module.exports = {
+  isEmpty: isEmpty,
+  isNumeric: isNumeric
+};
+
+// Empty values pass all rules but required, and are parsed to null, leaving presence to the required rule
+function isEmpty(value) {
+  return value === null || value === '' || typeof value === 'undefined';
+}
+
+// Numbers, or strings of them as values of inputs are
+function isNumeric(value) {
+  if (_.isString(value)) return !!value.trim() && isFinite(value);
+
+  return typeof value === 'number' && isFinite(value);
+}
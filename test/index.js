@@ -957,4 +957,3014 @@ describe('Validation', function () {
       });
     });
   });
+
+  describe('Dependencies', function () {
+    it('Skips a dependent validation when its prerequisite fails', function (done) {
+      var $validator = this.model.at('validator');
+      var fields = {
+        email: {
+          validations: [
+            {
+              rule: 'required'
+            },
+            {
+              rule: 'email',
+              dependsOn: 'required'
+            }
+          ]
+        }
+      };
+      var expected = ['Required field'];
+
+      var validator = new Validator($validator, fields);
+      validator.validate('email', function () {
+        var actual = $validator.get('email.messages');
+
+        expect(actual).to.eql(expected);
+        done();
+      });
+    });
+
+    it('Runs a dependent validation when its prerequisite passes', function (done) {
+      var $validator = this.model.at('validator');
+      var fields = {
+        email: {
+          validations: [
+            {
+              rule: 'required'
+            },
+            {
+              rule: 'email',
+              after: 'required'
+            }
+          ]
+        }
+      };
+      var expected = ['Wrong email format.'];
+
+      var validator = new Validator($validator, fields);
+      $validator.set('email.value', 'abc');
+      validator.validate('email', function (valid) {
+        var actual = $validator.get('email.messages');
+
+        expect(valid).to.be(false);
+        expect(actual).to.eql(expected);
+        done();
+      });
+    });
+
+    it('Waits for an asynchronous prerequisite', function (done) {
+      var $validator = this.model.at('validator');
+      var ran = false;
+      var fields = {
+        username: {
+          'default': 'bob',
+          validations: [
+            {
+              name: 'available',
+              rule: function (value, callback) {
+                setTimeout(function () {
+                  callback(true);
+                }, 1);
+              }
+            },
+            {
+              rule: function (value, callback) {
+                ran = true;
+                callback(true);
+              },
+              dependsOn: 'available'
+            }
+          ]
+        }
+      };
+
+      var validator = new Validator($validator, fields);
+      validator.validate('username', function (valid) {
+        expect(valid).to.be(true);
+        expect(ran).to.be(true);
+        done();
+      });
+    });
+
+    it('Throws when depending on a validation not declared before it', function () {
+      var $validator = this.model.at('validator');
+      var fields = {
+        email: {
+          validations: [
+            {
+              rule: 'email',
+              dependsOn: 'required'
+            },
+            {
+              rule: 'required'
+            }
+          ]
+        }
+      };
+
+      expect(function () {
+        new Validator($validator, fields);
+      }).to.throwError();
+    });
+  });
+
+  describe('Cross-field', function () {
+    it('Passes the values of all fields and the field name to rules', function (done) {
+      var $validator = this.model.at('validator');
+      var fields = {
+        password: {
+          'default': 'secret'
+        },
+        passwordConfirmation: {
+          'default': 'secret',
+          validations: [
+            {
+              rule: function (value, callback, values, fieldName) {
+                expect(fieldName).to.be('passwordConfirmation');
+                callback(value === values.password);
+              }
+            }
+          ]
+        }
+      };
+      var expected = true;
+
+      var validator = new Validator($validator, fields);
+      validator.validate('passwordConfirmation', function (actual) {
+        expect(actual).to.eql(expected);
+        done();
+      });
+    });
+
+    it('Re-validates a watching field when the watched field changes', function () {
+      var $validator = this.model.at('validator');
+      var fields = {
+        password: {
+          'default': 'secret'
+        },
+        passwordConfirmation: {
+          'default': 'secret',
+          watch: ['password'],
+          validations: [
+            {
+              rule: function (value, callback, values) {
+                callback(value === values.password);
+              }
+            }
+          ]
+        }
+      };
+      var expected = true;
+
+      var validator = new Validator($validator, fields);
+      validator.validate('passwordConfirmation');
+      $validator.set('password.value', 'changed');
+      var actual = $validator.get('passwordConfirmation.isInvalid');
+
+      expect(actual).to.eql(expected);
+    });
+
+    it('Does not re-validate a watching field that has not been validated', function () {
+      var $validator = this.model.at('validator');
+      var fields = {
+        password: {
+          'default': 'secret'
+        },
+        passwordConfirmation: {
+          watch: ['password'],
+          validations: [
+            {
+              rule: 'required'
+            }
+          ]
+        }
+      };
+      var expected = false;
+
+      new Validator($validator, fields);
+      $validator.set('password.value', 'changed');
+      var actual = $validator.get('passwordConfirmation.isInvalid');
+
+      expect(actual).to.eql(expected);
+    });
+  });
+
+  describe('Schema', function () {
+    var schema = {
+      type: 'object',
+      required: ['email'],
+      properties: {
+        email: {type: 'string', format: 'email'},
+        age: {type: 'integer', minimum: 18, maximum: 130},
+        role: {'enum': ['admin', 'user'], 'default': 'user'},
+        address: {
+          type: 'object',
+          required: ['street'],
+          properties: {
+            street: {type: 'string', minLength: 2},
+            zip: {type: 'string', pattern: '^[0-9]{5}$'}
+          }
+        }
+      }
+    };
+
+    it('Creates nested fields and groups from properties', function () {
+      var $validator = this.model.at('validator');
+
+      var validator = Validator.fromSchema($validator, null, schema);
+
+      expect(validator.fields).to.only.have.keys('email', 'age', 'role', 'address.street', 'address.zip');
+      expect(validator.fields['address.street'].group).to.be('address');
+      expect($validator.get('role.value')).to.be('user');
+    });
+
+    it('Does not validate when required is missing', function (done) {
+      var $validator = this.model.at('validator');
+      var expected = ['Required field'];
+
+      var validator = Validator.fromSchema($validator, null, schema);
+      validator.validate('email', function (valid) {
+        var actual = $validator.get('email.messages');
+
+        expect(valid).to.be(false);
+        expect(actual).to.eql(expected);
+        done();
+      });
+    });
+
+    it('Validates optional empty fields', function (done) {
+      var $validator = this.model.at('validator');
+
+      var validator = Validator.fromSchema($validator, null, schema);
+      validator.validate('age', function (valid) {
+        expect(valid).to.be(true);
+        done();
+      });
+    });
+
+    it('Applies constraints to set values', function () {
+      var $validator = this.model.at('validator');
+      var expected = ['Must be an integer.', 'Must be at least 18.'];
+
+      var validator = Validator.fromSchema($validator, null, schema);
+      $validator.set('age.value', 1.5);
+      validator.validate('age');
+      var actual = $validator.get('age.messages');
+
+      expect(actual).to.eql(expected);
+    });
+
+    it('Accepts numbers as strings from inputs', function () {
+      var $validator = this.model.at('validator');
+
+      var validator = Validator.fromSchema($validator, null, schema);
+      $validator.set('age.value', '25');
+      validator.validate('age');
+
+      expect($validator.get('age.isValid')).to.be(true);
+
+      $validator.set('age.value', '2.5');
+      validator.validate('age');
+
+      expect($validator.get('age.messages')).to.eql(['Must be an integer.', 'Must be at least 18.']);
+    });
+
+    it('Translates type messages', function () {
+      var $validator = this.model.at('validator');
+
+      var validator = Validator.fromSchema($validator, null, schema, {
+        locale: 'sv',
+        locales: {
+          sv: {
+            type: 'Måste vara {args}.'
+          }
+        }
+      });
+      $validator.set('age.value', 'old');
+      validator.validate('age');
+
+      expect($validator.get('age.errors.0')).to.eql({rule: 'type', code: 'type', message: 'Måste vara integer.', params: ['integer']});
+    });
+
+    it('Uses format rules returning Promises', function (done) {
+      var $validator = this.model.at('validator');
+
+      var validator = Validator.fromSchema($validator, null, {
+        type: 'object',
+        properties: {
+          u: {type: 'string', format: 'unique'}
+        }
+      }, {
+        rules: {
+          unique: function (value) {
+            return Promise.resolve(value !== 'taken');
+          }
+        },
+        messages: {
+          unique: 'Taken.'
+        }
+      });
+      $validator.set('u.value', 'taken');
+
+      validator.validate('u', function (valid) {
+        expect(valid).to.be(false);
+        expect($validator.get('u.messages')).to.eql(['Taken.']);
+        done();
+      });
+    });
+
+    it('Applies pattern, enum and format', function () {
+      var $validator = this.model.at('validator');
+
+      var validator = Validator.fromSchema($validator, null, schema);
+      $validator.set('email.value', 'abc');
+      $validator.set('role.value', 'guest');
+      $validator.set('address.street.value', 'Main street');
+      $validator.set('address.zip.value', '123');
+      validator.validateAll();
+
+      expect($validator.get('email.messages')).to.eql(['Wrong email format.']);
+      expect($validator.get('role.messages')).to.eql(['Must be one of: admin, user.']);
+      expect($validator.get('address.zip.messages')).to.eql(['Wrong format.']);
+      expect($validator.get('address.street.isValid')).to.be(true);
+    });
+
+    it('Reads values from origin', function () {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.2');
+
+      Validator.fromSchema($validator, $origin, {
+        type: 'object',
+        properties: {
+          c: {
+            type: 'object',
+            properties: {
+              d: {
+                type: 'object',
+                properties: {
+                  f: {type: 'string'}
+                }
+              }
+            }
+          }
+        }
+      });
+      var actual = $validator.get('c.d.f.value');
+
+      expect(actual).to.be('f');
+    });
+
+    it('Looks up formats in options', function () {
+      var $validator = this.model.at('validator');
+      var options = {
+        rules: {
+          hex: /^[0-9a-f]+$/
+        },
+        messages: {
+          hex: 'Must be hexadecimal.'
+        }
+      };
+      var expected = ['Must be hexadecimal.'];
+
+      var validator = Validator.fromSchema($validator, null, {
+        type: 'object',
+        properties: {
+          color: {type: 'string', format: 'hex', 'default': 'xyz'}
+        }
+      }, options);
+      validator.validate('color');
+      var actual = $validator.get('color.messages');
+
+      expect(actual).to.eql(expected);
+    });
+
+    it('Throws on an unknown format', function () {
+      var $validator = this.model.at('validator');
+
+      expect(function () {
+        Validator.fromSchema($validator, null, {
+          type: 'object',
+          properties: {
+            a: {format: 'unknown'}
+          }
+        });
+      }).to.throwError();
+    });
+  });
+
+  describe('Default rules', function () {
+    function check(rule, args, value, values) {
+      var $validator = (new Model).at('_page.validator');
+      var fields = {
+        field: {
+          'default': value,
+          validations: [
+            {
+              rule: rule,
+              args: args
+            }
+          ]
+        }
+      };
+
+      _.each(values, function (otherValue, otherName) {
+        fields[otherName] = {'default': otherValue};
+      });
+
+      var validator = new Validator($validator, fields);
+      validator.validate('field');
+
+      return {valid: $validator.get('field.isValid'), messages: $validator.get('field.messages')};
+    }
+
+    it('Checks lengths', function () {
+      expect(check('minLength', [3], 'abc').valid).to.be(true);
+      expect(check('minLength', [3], 'ab').valid).to.be(false);
+      expect(check('maxLength', [3], 'abcd').valid).to.be(false);
+      expect(check('maxLength', [3], ['a', 'b']).valid).to.be(true);
+    });
+
+    it('Checks numbers', function () {
+      expect(check('min', [5], '5').valid).to.be(true);
+      expect(check('min', [5], 4).valid).to.be(false);
+      expect(check('max', [5], 6).valid).to.be(false);
+      expect(check('between', [1, 10], 10).valid).to.be(true);
+      expect(check('between', [1, 10], 11).valid).to.be(false);
+      expect(check('integer', [], '12').valid).to.be(true);
+      expect(check('integer', [], 1.5).valid).to.be(false);
+      expect(check('number', [], '1.5').valid).to.be(true);
+      expect(check('number', [], 'abc').valid).to.be(false);
+    });
+
+    it('Checks formats', function () {
+      expect(check('url', [], 'https://derbyjs.com/docs').valid).to.be(true);
+      expect(check('url', [], 'derbyjs').valid).to.be(false);
+      expect(check('phone', [], '+46 (0)8-123 45 67').valid).to.be(true);
+      expect(check('phone', [], '12ab').valid).to.be(false);
+      expect(check('date', [], '2016-01-31').valid).to.be(true);
+      expect(check('date', [], 'not a date').valid).to.be(false);
+      expect(check('matches', ['^[a-z]+$', 'i'], 'ABC').valid).to.be(true);
+      expect(check('matches', [/^[a-z]+$/], '123').valid).to.be(false);
+    });
+
+    it('Checks allowed values and other fields', function () {
+      expect(check('oneOf', ['a', 'b'], 'b').valid).to.be(true);
+      expect(check('oneOf', ['a', 'b'], 'c').valid).to.be(false);
+      expect(check('equalsField', ['other'], 'abc', {other: 'abc'}).valid).to.be(true);
+      expect(check('equalsField', ['other'], 'abc', {other: 'abd'}).valid).to.be(false);
+    });
+
+    it('Passes empty values for all rules but required', function () {
+      expect(check('minLength', [3], '').valid).to.be(true);
+      expect(check('integer', [], null).valid).to.be(true);
+      expect(check('url', [], undefined).valid).to.be(true);
+    });
+
+    it('Interpolates arguments into default messages', function () {
+      expect(check('minLength', [8], 'abc').messages).to.eql(['Must be at least 8 characters.']);
+      expect(check('between', [1, 10], 11).messages).to.eql(['Must be between 1 and 10.']);
+      expect(check('oneOf', ['a', 'b'], 'c').messages).to.eql(['Must be one of: a, b.']);
+    });
+
+    it('Does not take messages without rules as rules', function () {
+      expect(function () {
+        check('toNumber', [], '1');
+      }).to.throwError(/Rule: "toNumber" is not available/);
+    });
+  });
+
+  describe('Rule arguments', function () {
+    it('Parses arguments from the rule string', function () {
+      var $validator = this.model.at('validator');
+      var fields = {
+        amount: {
+          'default': 11,
+          validations: [
+            {
+              rule: 'between:1,10'
+            }
+          ]
+        }
+      };
+      var expected = ['Must be between 1 and 10.'];
+
+      var validator = new Validator($validator, fields);
+      validator.validate('amount');
+      var actual = $validator.get('amount.messages');
+
+      expect(validator.fields.amount.validations[0].args).to.eql([1, 10]);
+      expect(validator.fields.amount.validations[0].name).to.be('between');
+      expect(actual).to.eql(expected);
+    });
+
+    it('Passes arguments to rules from options', function () {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.1');
+      var fields = {
+        a: {
+          validations: [
+            {
+              rule: 'startsWith',
+              args: ['x']
+            }
+          ]
+        }
+      };
+      var options = {
+        rules: {
+          startsWith: function (value, callback, values, fieldName, args) {
+            callback(value.indexOf(args[0]) === 0);
+          }
+        },
+        messages: {
+          startsWith: 'Must start with {0}.'
+        }
+      };
+      var expected = ['Must start with x.'];
+
+      var validator = new Validator($validator, $origin, {}, fields, options);
+      validator.validate('a');
+      var actual = $validator.get('a.messages');
+
+      expect(actual).to.eql(expected);
+    });
+
+    it('Interpolates arguments into field messages', function () {
+      var $validator = this.model.at('validator');
+      var fields = {
+        name: {
+          'default': 'ab',
+          validations: [
+            {
+              rule: 'minLength:3',
+              message: 'Write at least {0} characters.'
+            }
+          ]
+        }
+      };
+      var expected = ['Write at least 3 characters.'];
+
+      var validator = new Validator($validator, fields);
+      validator.validate('name');
+      var actual = $validator.get('name.messages');
+
+      expect(actual).to.eql(expected);
+    });
+
+    it('Keeps non-numeric string arguments as strings', function () {
+      var $validator = this.model.at('validator');
+      var fields = {
+        role: {
+          'default': 'admin',
+          validations: [
+            {
+              rule: 'oneOf:admin, user'
+            }
+          ]
+        }
+      };
+      var expected = true;
+
+      var validator = new Validator($validator, fields);
+      validator.validate('role');
+      var actual = $validator.get('role.isValid');
+
+      expect(validator.fields.role.validations[0].args).to.eql(['admin', 'user']);
+      expect(actual).to.eql(expected);
+    });
+  });
+
+  describe('Messages', function () {
+    it('Replaces placeholders in message templates', function () {
+      var $validator = this.model.at('validator');
+      var fields = {
+        username: {
+          label: 'Username',
+          'default': 'bob',
+          validations: [
+            {
+              rule: 'minLength:5',
+              message: '{label} \'{value}\' ({field}) must be at least {0} characters.'
+            }
+          ]
+        }
+      };
+      var expected = ['Username \'bob\' (username) must be at least 5 characters.'];
+
+      var validator = new Validator($validator, fields);
+      validator.validate('username');
+      var actual = $validator.get('username.messages');
+
+      expect(actual).to.eql(expected);
+    });
+
+    it('Calls message functions with value, field name and args', function () {
+      var $validator = this.model.at('validator');
+      var fields = {
+        username: {
+          'default': 'bob',
+          validations: [
+            {
+              rule: function (value, callback) {
+                callback(false);
+              },
+              args: ['x'],
+              message: function (value, fieldName, args) {
+                return fieldName + ' ' + value + ' ' + args[0];
+              }
+            }
+          ]
+        }
+      };
+      var expected = ['username bob x'];
+
+      var validator = new Validator($validator, fields);
+      validator.validate('username');
+      var actual = $validator.get('username.messages');
+
+      expect(actual).to.eql(expected);
+    });
+
+    it('Renders the message with the value at the time of validation', function () {
+      var $validator = this.model.at('validator');
+      var fields = {
+        username: {
+          validations: [
+            {
+              rule: 'minLength:5',
+              message: '{value} is too short.'
+            }
+          ]
+        }
+      };
+      var expected = ['al is too short.'];
+
+      var validator = new Validator($validator, fields);
+      $validator.set('username.value', 'bob');
+      validator.validate('username');
+      $validator.set('username.value', 'al');
+      validator.validate('username');
+      var actual = $validator.get('username.messages');
+
+      expect(actual).to.eql(expected);
+    });
+
+    it('Uses the field name as label by default', function () {
+      var $validator = this.model.at('validator');
+      var fields = {
+        email: {
+          validations: [
+            {
+              rule: 'required'
+            }
+          ]
+        }
+      };
+      var expected = ['email is missing.'];
+
+      var validator = new Validator($validator, fields);
+      validator.setInvalid('email', '{label} is missing.');
+      var actual = $validator.get('email.messages');
+
+      expect(actual).to.eql(expected);
+    });
+  });
+
+  describe('Locales', function () {
+    var options = {
+      messages: {
+        required: 'Required.'
+      },
+      locales: {
+        sv: {
+          minLength: 'Minst {0} tecken.',
+          'default': 'Något är fel.'
+        }
+      },
+      locale: 'sv'
+    };
+
+    it('Uses messages from the current locale', function () {
+      var $validator = this.model.at('validator');
+      var fields = {
+        name: {
+          'default': 'ab',
+          validations: [
+            {
+              rule: 'minLength:3'
+            }
+          ]
+        }
+      };
+      var expected = ['Minst 3 tecken.'];
+
+      var validator = new Validator($validator, {}, fields, options);
+      validator.validate('name');
+      var actual = $validator.get('name.messages');
+
+      expect(actual).to.eql(expected);
+    });
+
+    it('Falls back to options and defaults', function () {
+      var $validator = this.model.at('validator');
+      var fields = {
+        name: {
+          validations: [
+            {
+              rule: 'required'
+            },
+            {
+              rule: 'email'
+            }
+          ]
+        }
+      };
+      var expected = ['Required.', 'Wrong email format.'];
+
+      var validator = new Validator($validator, {}, fields, options);
+      validator.validate('name');
+      var actual = $validator.get('name.messages');
+
+      expect(actual).to.eql(expected);
+    });
+
+    it('Re-renders messages without re-running rules on locale switch', function () {
+      var $validator = this.model.at('validator');
+      var runs = 0;
+      var fields = {
+        name: {
+          'default': 'ab',
+          validations: [
+            {
+              rule: 'minLength:3'
+            },
+            {
+              rule: function (value, callback) {
+                runs++;
+                callback(false);
+              },
+              message: {
+                en: 'Taken.',
+                sv: 'Upptaget.'
+              }
+            }
+          ]
+        }
+      };
+
+      var validator = new Validator($validator, {}, fields, options);
+      validator.validate('name');
+      validator.setInvalid('name');
+
+      expect($validator.get('name.messages')).to.eql(['Minst 3 tecken.', 'Upptaget.', 'Något är fel.']);
+
+      validator.setLocale('en');
+
+      expect($validator.get('name.messages')).to.eql(['Must be at least 3 characters.', 'Taken.', 'Something is wrong with this field.']);
+      expect(runs).to.be(1);
+    });
+  });
+
+  describe('Promises', function () {
+    it('Supports rules returning a boolean', function () {
+      var $validator = this.model.at('validator');
+      var fields = {
+        a: {
+          validations: [
+            {
+              rule: function (value) {
+                return value === 'abc';
+              }
+            }
+          ]
+        }
+      };
+      var expected = false;
+
+      var validator = new Validator($validator, fields);
+      validator.validate('a');
+      var actual = $validator.get('a.isValid');
+
+      expect(actual).to.eql(expected);
+    });
+
+    it('Supports rules returning a Promise', function (done) {
+      var $validator = this.model.at('validator');
+      var fields = {
+        a: {
+          'default': 'abc',
+          validations: [
+            {
+              rule: function (value) {
+                return Promise.resolve(value === 'abc');
+              }
+            }
+          ]
+        }
+      };
+
+      var validator = new Validator($validator, fields);
+      validator.validate('a', function (valid) {
+        expect(valid).to.be(true);
+        done();
+      });
+    });
+
+    it('Supports result objects with messages', function (done) {
+      var $validator = this.model.at('validator');
+      var fields = {
+        username: {
+          'default': 'bob',
+          validations: [
+            {
+              rule: function () {
+                return Promise.resolve({valid: false, message: 'Username \'{value}\' is already taken.'});
+              }
+            }
+          ]
+        }
+      };
+      var expected = ['Username \'bob\' is already taken.'];
+
+      var validator = new Validator($validator, fields);
+      validator.validate('username').then(function (valid) {
+        expect(valid).to.be(false);
+        expect($validator.get('username.messages')).to.eql(expected);
+        done();
+      });
+    });
+
+    it('Treats a rejected Promise as an error', function (done) {
+      var $validator = this.model.at('validator');
+      var fields = {
+        a: {
+          validations: [
+            {
+              rule: function () {
+                return Promise.reject(new Error('Failed'));
+              }
+            }
+          ]
+        }
+      };
+
+      var validator = new Validator($validator, fields);
+      validator.validate('a').then(function (valid) {
+        expect(valid).to.be(false);
+        expect($validator.get('a.hasError')).to.be(true);
+        expect($validator.get('a.isInvalid')).to.be(false);
+        done();
+      });
+    });
+
+    it('Returns Promises from validateAll and commit', function (done) {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.1');
+      var fields = {
+        a: {
+          validations: [
+            {
+              rule: 'required'
+            }
+          ]
+        }
+      };
+
+      var validator = new Validator($validator, $origin, fields);
+      validator.validateAll().then(function (valid) {
+        expect(valid).to.be(true);
+
+        $validator.set('a.value', 'b');
+
+        return validator.commit();
+      }).then(function (valid) {
+        expect(valid).to.be(true);
+        expect($origin.get('a')).to.be('b');
+        done();
+      });
+    });
+  });
+
+  describe('Errors', function () {
+    it('Sets the error state when a rule throws', function () {
+      var $validator = this.model.at('validator');
+      var fields = {
+        a: {
+          validations: [
+            {
+              rule: function () {
+                throw new Error('Broken');
+              }
+            }
+          ]
+        }
+      };
+
+      var validator = new Validator($validator, fields);
+      validator.validate('a');
+
+      expect($validator.get('a.hasError')).to.be(true);
+      expect($validator.get('a.errorMessage')).to.be('Could not validate this field.');
+      expect($validator.get('a.isInvalid')).to.be(false);
+      expect($validator.get('a.isValid')).to.be(false);
+      expect($validator.get('a.validating')).to.be(undefined);
+    });
+
+    it('Times out rules that never call back', function (done) {
+      var $validator = this.model.at('validator');
+      var fields = {
+        a: {
+          validations: [
+            {
+              rule: function () {},
+              timeout: 5,
+              errorMessage: 'Timed out validating {label}.'
+            }
+          ]
+        }
+      };
+
+      var validator = new Validator($validator, fields);
+      validator.validate('a', function (valid) {
+        expect(valid).to.be(false);
+        expect($validator.get('a.hasError')).to.be(true);
+        expect($validator.get('a.errorMessage')).to.be('Timed out validating a.');
+        done();
+      });
+    });
+
+    it('Uses the timeout and error message from options', function (done) {
+      var $validator = this.model.at('validator');
+      var fields = {
+        a: {
+          validations: [
+            {
+              rule: function () {
+                return new Promise(function () {});
+              }
+            }
+          ]
+        }
+      };
+      var options = {
+        timeout: 5,
+        messages: {
+          error: 'Try again later.'
+        }
+      };
+
+      var validator = new Validator($validator, {}, fields, options);
+      validator.validate('a', function () {
+        expect($validator.get('a.errorMessage')).to.be('Try again later.');
+        done();
+      });
+    });
+
+    it('Clears the error state when validating again', function () {
+      var $validator = this.model.at('validator');
+      var fail = true;
+      var fields = {
+        a: {
+          validations: [
+            {
+              rule: function () {
+                if (fail) throw new Error('Broken');
+
+                return true;
+              }
+            }
+          ]
+        }
+      };
+
+      var validator = new Validator($validator, fields);
+      validator.validate('a');
+      fail = false;
+      validator.validate('a');
+
+      expect($validator.get('a.hasError')).to.be(undefined);
+      expect($validator.get('a.errorMessage')).to.be(undefined);
+      expect($validator.get('a.isValid')).to.be(true);
+    });
+  });
+
+  describe('Debounce', function () {
+    it('Validates once after the last call', function (done) {
+      var $validator = this.model.at('validator');
+      var runs = 0;
+      var results = [];
+      var fields = {
+        a: {
+          debounce: 5,
+          validations: [
+            {
+              rule: function (value) {
+                runs++;
+
+                return value === 'abc';
+              }
+            }
+          ]
+        }
+      };
+
+      var validator = new Validator($validator, fields);
+      $validator.set('a.value', 'a');
+      validator.validate('a', function (valid) {
+        results.push(valid);
+      });
+      $validator.set('a.value', 'abc');
+      validator.validate('a', function (valid) {
+        results.push(valid);
+
+        expect(runs).to.be(1);
+        expect(results).to.eql([true, true]);
+        expect($validator.get('a.isValid')).to.be(true);
+        done();
+      });
+    });
+
+    it('Debounces fields revalidated by the fields they watch', function (done) {
+      var $validator = this.model.at('validator');
+      var runs = 0;
+      var fields = {
+        pw: {},
+        confirm: {
+          watch: ['pw'],
+          debounce: 5,
+          validations: [
+            {
+              rule: function (value, callback, values) {
+                runs++;
+                callback(value === values.pw);
+              }
+            }
+          ]
+        }
+      };
+
+      var validator = new Validator($validator, fields);
+      $validator.set('confirm.value', 'abc');
+      validator.validateAll();
+      runs = 0;
+
+      $validator.set('pw.value', 'a');
+      $validator.set('pw.value', 'ab');
+      $validator.set('pw.value', 'abc');
+
+      setTimeout(function () {
+        expect(runs).to.be(1);
+        expect($validator.get('confirm.isValid')).to.be(true);
+        done();
+      }, 20);
+    });
+
+    it('Validates pending fields right away on validateAll', function () {
+      var $validator = this.model.at('validator');
+      var called = false;
+      var fields = {
+        a: {
+          debounce: 1000,
+          validations: [
+            {
+              rule: 'required'
+            }
+          ]
+        }
+      };
+
+      var validator = new Validator($validator, fields);
+      validator.validate('a', function () {
+        called = true;
+      });
+      validator.validateAll();
+
+      expect(called).to.be(true);
+      expect($validator.get('a.isInvalid')).to.be(true);
+    });
+
+    it('Aborts running validations when superseded', function (done) {
+      var $validator = this.model.at('validator');
+      var signals = [];
+      var fields = {
+        a: {
+          validations: [
+            {
+              rule: function (value, callback, values, fieldName, args, signal) {
+                signals.push(signal);
+
+                if (value === 'slow') return;
+
+                callback(true);
+              }
+            }
+          ]
+        }
+      };
+
+      var validator = new Validator($validator, fields);
+      $validator.set('a.value', 'slow');
+      validator.validate('a', function (valid) {
+        expect(valid).to.be(false);
+      });
+      $validator.set('a.value', 'fast');
+      validator.validate('a', function (valid) {
+        expect(valid).to.be(true);
+        expect(signals[0].aborted).to.be(true);
+        expect(signals[1].aborted).to.be(false);
+        expect($validator.get('a.isValid')).to.be(true);
+        done();
+      });
+    });
+  });
+
+  describe('Triggers', function () {
+    it('Does not validate on change by default', function () {
+      var $validator = this.model.at('validator');
+      var fields = {
+        a: {
+          validations: [
+            {
+              rule: 'minLength:3'
+            }
+          ]
+        }
+      };
+      var expected = false;
+
+      new Validator($validator, fields);
+      $validator.set('a.value', 'ab');
+      var actual = $validator.get('a.isInvalid');
+
+      expect(actual).to.eql(expected);
+    });
+
+    it('Validates on change', function () {
+      var $validator = this.model.at('validator');
+      var fields = {
+        a: {
+          validateOn: 'change',
+          validations: [
+            {
+              rule: 'minLength:3'
+            }
+          ]
+        }
+      };
+
+      new Validator($validator, fields);
+      $validator.set('a.value', 'ab');
+
+      expect($validator.get('a.isInvalid')).to.be(true);
+
+      $validator.set('a.value', 'abc');
+
+      expect($validator.get('a.isValid')).to.be(true);
+    });
+
+    it('Validates on blur', function () {
+      var $validator = this.model.at('validator');
+      var fields = {
+        a: {
+          validations: [
+            {
+              rule: 'required'
+            }
+          ]
+        }
+      };
+      var options = {
+        validateOn: 'blur'
+      };
+
+      var validator = new Validator($validator, {}, fields, options);
+      $validator.set('a.value', '');
+
+      expect($validator.get('a.isInvalid')).to.be(false);
+
+      validator.markTouched('a');
+
+      expect($validator.get('a.isTouched')).to.be(true);
+      expect($validator.get('a.isInvalid')).to.be(true);
+    });
+
+    it('Validates on change after submit', function () {
+      var $validator = this.model.at('validator');
+      var fields = {
+        a: {
+          validateOn: ['blur', 'changeAfterSubmit'],
+          validations: [
+            {
+              rule: 'minLength:3'
+            }
+          ]
+        }
+      };
+
+      var validator = new Validator($validator, fields);
+      $validator.set('a.value', 'ab');
+
+      expect($validator.get('a.isInvalid')).to.be(false);
+
+      validator.validateAll();
+      $validator.set('a.value', 'abc');
+
+      expect($validator.get('a.isValid')).to.be(true);
+    });
+
+    it('Does not validate on reset', function () {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.1');
+      var fields = {
+        a: {
+          validateOn: 'change',
+          validations: [
+            {
+              rule: 'minLength:3'
+            }
+          ]
+        }
+      };
+      var expected = false;
+
+      var validator = new Validator($validator, $origin, fields);
+      validator.reset();
+      var actual = $validator.get('a.isInvalid');
+
+      expect(actual).to.eql(expected);
+    });
+  });
+
+  describe('State', function () {
+    it('Starts out pristine', function () {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.1');
+      var fields = {
+        a: {
+          validations: [
+            {
+              rule: 'required'
+            }
+          ]
+        }
+      };
+
+      new Validator($validator, $origin, fields);
+
+      expect($validator.get('a.isPristine')).to.be(true);
+      expect($validator.get('a.isDirty')).to.be(false);
+      expect($validator.get('a.isTouched')).to.be(false);
+      expect($validator.get('a.wasValidated')).to.be(false);
+      expect($validator.get('b.isPristine')).to.be(true);
+      expect($validator.get('isSubmitted')).to.be(false);
+      expect($validator.get('touchedFields')).to.eql([]);
+    });
+
+    it('Stays dirty when the value is changed back', function () {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.1');
+
+      new Validator($validator, $origin);
+      $validator.set('a.value', 'b');
+      $validator.set('a.value', 'a');
+
+      expect($validator.get('a.hasChanged')).to.be(false);
+      expect($validator.get('a.isDirty')).to.be(true);
+      expect($validator.get('a.isPristine')).to.be(false);
+    });
+
+    it('Tracks touched fields, validation and submits', function () {
+      var $validator = this.model.at('validator');
+      var fields = {
+        a: {
+          validations: [
+            {
+              rule: 'required'
+            }
+          ]
+        },
+        b: {
+          validations: [
+            {
+              rule: 'required'
+            }
+          ]
+        }
+      };
+
+      var validator = new Validator($validator, fields);
+      validator.markTouched('b');
+      validator.markTouched('a');
+      validator.markTouched('b');
+      validator.validate('a');
+
+      expect($validator.get('touchedFields')).to.eql(['b', 'a']);
+      expect($validator.get('a.wasValidated')).to.be(true);
+      expect($validator.get('b.wasValidated')).to.be(false);
+      expect($validator.get('isSubmitted')).to.be(false);
+
+      validator.validateAll();
+
+      expect($validator.get('isSubmitted')).to.be(true);
+    });
+
+    it('Resets state on reset', function () {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.1');
+      var fields = {
+        a: {
+          validations: [
+            {
+              rule: 'required'
+            }
+          ]
+        }
+      };
+
+      var validator = new Validator($validator, $origin, fields);
+      $validator.set('a.value', 'b');
+      validator.markTouched('a');
+      validator.validateAll();
+      validator.reset();
+
+      expect($validator.get('a.isDirty')).to.be(false);
+      expect($validator.get('a.isTouched')).to.be(false);
+      expect($validator.get('a.wasValidated')).to.be(false);
+      expect($validator.get('isSubmitted')).to.be(false);
+      expect($validator.get('touchedFields')).to.eql([]);
+    });
+
+    it('Does not include state in values', function () {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.1');
+      var expected = _.cloneDeep($origin.get());
+
+      var validator = new Validator($validator, $origin);
+      validator.markTouched('a');
+      validator.validateAll();
+      var actual = validator.getValues();
+
+      expect(actual).to.eql(expected);
+    });
+  });
+
+  describe('Arrays', function () {
+    beforeEach(function () {
+      this.model.set('collection.3', {
+        id: '3',
+        addresses: [
+          {street: 'Main street', zip: '12345'},
+          {street: '', zip: '23456'}
+        ]
+      });
+    });
+
+    var fields = {
+      addresses: {
+        validations: [
+          {
+            rule: 'minItems:1'
+          }
+        ]
+      },
+      'addresses.*.street': {
+        validations: [
+          {
+            rule: 'required'
+          }
+        ]
+      }
+    };
+
+    it('Keeps the array as the value of the array field', function () {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.3');
+      var expected = _.cloneDeep($origin.get());
+
+      var validator = new Validator($validator, $origin, fields);
+      var actual = validator.getValues();
+
+      expect(actual).to.eql(expected);
+      expect($validator.get('addresses.items')).to.eql([{}, {}]);
+    });
+
+    it('Validates each item', function (done) {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.3');
+
+      var validator = new Validator($validator, $origin, fields);
+      validator.validateAll(function (valid) {
+        expect(valid).to.be(false);
+        expect($validator.get('addresses.isValid')).to.be(true);
+        expect($validator.get('addresses.items.0.street.isValid')).to.be(true);
+        expect($validator.get('addresses.items.1.street.messages')).to.eql(['Required field']);
+        expect($validator.get('addresses.items.0.isValid')).to.be(true);
+        expect($validator.get('addresses.items.1.isInvalid')).to.be(true);
+        expect($validator.get('hasInvalidFields')).to.be(true);
+        done();
+      });
+    });
+
+    it('Applies array rules', function () {
+      var $validator = this.model.at('validator');
+      var expected = ['Must have at least 1 items.'];
+
+      var validator = new Validator($validator, fields);
+      validator.validate('addresses');
+      var actual = $validator.get('addresses.messages');
+
+      expect(actual).to.eql(expected);
+    });
+
+    it('Follows inserts, removes and moves', function () {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.3');
+
+      var validator = new Validator($validator, $origin, fields);
+      validator.validateAll();
+
+      $validator.insert('addresses.value', 0, {street: 'New street'});
+
+      expect($validator.get('addresses.items.length')).to.be(3);
+      expect($validator.get('addresses.items.2.isInvalid')).to.be(true);
+      expect($validator.get('addresses.hasChanged')).to.be(true);
+
+      $validator.move('addresses.value', 2, 0);
+
+      expect($validator.get('addresses.items.0.isInvalid')).to.be(true);
+      expect($validator.get('addresses.items.2.isValid')).to.be(true);
+
+      $validator.remove('addresses.value', 0);
+
+      expect($validator.get('addresses.items.length')).to.be(2);
+      expect($validator.get('hasInvalidFields')).to.be(false);
+
+      validator.setLocale('en');
+
+      expect($validator.get('addresses.items.0.street.messages')).to.be(undefined);
+    });
+
+    it('Validates items on change', function () {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.3');
+      var options = {
+        validateOn: 'change'
+      };
+
+      new Validator($validator, $origin, {}, fields, options);
+      $validator.set('addresses.value.0.street', '');
+
+      expect($validator.get('addresses.items.0.street.isInvalid')).to.be(true);
+      expect($validator.get('addresses.items.1.street')).to.be(undefined);
+    });
+
+    it('Resets items when the array is replaced', function () {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.3');
+
+      var validator = new Validator($validator, $origin, fields);
+      validator.validateAll();
+      $validator.set('addresses.value', [{street: 'A'}]);
+
+      expect($validator.get('addresses.items')).to.eql([{}]);
+      expect($validator.get('hasInvalidFields')).to.be(false);
+    });
+  });
+
+  describe('Dynamic fields', function () {
+    var fields = {
+      name: {
+        validations: [
+          {
+            rule: 'required'
+          }
+        ]
+      }
+    };
+
+    it('Adds a field', function () {
+      var $validator = this.model.at('validator');
+
+      var validator = new Validator($validator, fields);
+      validator.addField('company.name', {
+        'default': 'ACME',
+        group: 'company',
+        validations: [
+          {
+            rule: 'minLength:5'
+          }
+        ]
+      });
+
+      expect(validator.getValues()).to.eql({name: undefined, company: {name: 'ACME'}});
+      expect($validator.get('company.name.isValid')).to.be(false);
+
+      validator.validate('company.name');
+
+      expect($validator.get('company.name.isInvalid')).to.be(true);
+      expect($validator.get('groups.company.isValid')).to.be(false);
+      expect($validator.get('hasInvalidFields')).to.be(true);
+    });
+
+    it('Takes the value of an added field from origin', function () {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.2');
+
+      var validator = new Validator($validator, $origin, fields);
+      validator.addField('a', {validations: [{rule: 'required'}]});
+
+      expect($validator.get('a.value')).to.be('a');
+      expect($validator.get('a.hasChanged')).to.be(false);
+      expect($validator.get('a.isDirty')).to.be(false);
+    });
+
+    it('Does not add a field twice', function () {
+      var $validator = this.model.at('validator');
+
+      var validator = new Validator($validator, fields);
+
+      expect(function () {
+        validator.addField('name', {});
+      }).to.throwError(/already exists/);
+    });
+
+    it('Removes a field', function () {
+      var $validator = this.model.at('validator');
+
+      var validator = new Validator($validator, fields);
+      validator.addField('company.name', {group: 'company', validations: [{rule: 'required'}]});
+      validator.validateAll();
+
+      expect($validator.get('groups.company.isValid')).to.be(false);
+
+      validator.removeField('company.name');
+
+      expect($validator.get('company')).to.be(undefined);
+      expect($validator.get('groups.company')).to.be(undefined);
+      expect(validator.getValues()).to.eql({name: undefined});
+
+      validator.removeField('name');
+
+      expect($validator.get('groups.default')).to.be(undefined);
+      expect($validator.get('hasInvalidFields')).to.be(false);
+    });
+
+    it('Removes array fields along with their items', function () {
+      var $validator = this.model.at('validator');
+
+      var validator = new Validator($validator, {
+        'addresses.*.street': {
+          validations: [{rule: 'required'}]
+        }
+      });
+      $validator.push('addresses.value', {street: ''});
+      validator.validateAll();
+
+      expect($validator.get('hasInvalidFields')).to.be(true);
+
+      validator.removeField('addresses.*.street');
+
+      expect($validator.get('addresses.items')).to.eql([{}]);
+      expect($validator.get('hasInvalidFields')).to.be(false);
+
+      validator.removeField('addresses');
+
+      expect(validator.getValues()).to.eql({});
+    });
+
+    it('Updates validations', function () {
+      var $validator = this.model.at('validator');
+
+      var validator = new Validator($validator, fields);
+      validator.validate('name');
+
+      expect($validator.get('groups.default.isValid')).to.be(false);
+
+      validator.updateValidations('name', [{rule: 'maxLength:3'}]);
+
+      expect($validator.get('name.isInvalid')).to.be(false);
+      expect($validator.get('name.messages')).to.be(undefined);
+      expect($validator.get('groups.default.isValid')).to.be(true);
+      expect($validator.get('hasInvalidFields')).to.be(false);
+
+      $validator.set('name.value', 'Too long');
+      validator.validate('name');
+
+      expect($validator.get('name.messages')).to.eql(['Must be at most 3 characters.']);
+
+      validator.updateValidations('name');
+      validator.validateAll();
+
+      expect($validator.get('name.isInvalid')).to.be(undefined);
+      expect($validator.get('groups.default')).to.be(undefined);
+    });
+  });
+
+  describe('Lifecycle', function () {
+    var EventEmitter = require('events').EventEmitter;
+
+    function countingFields(counter) {
+      return {
+        name: {
+          validateOn: 'change',
+          validations: [
+            {
+              rule: function (value, callback) {
+                counter.calls++;
+                callback(true);
+              }
+            }
+          ]
+        }
+      };
+    }
+
+    it('Does not add listeners again on reset', function () {
+      var $validator = this.model.at('validator');
+      var counter = {calls: 0};
+
+      var validator = new Validator($validator, countingFields(counter));
+      validator.reset();
+      validator.reset();
+      $validator.set('name.value', 'a');
+
+      expect(counter.calls).to.be(1);
+    });
+
+    it('Stops listening when destroyed', function () {
+      var $validator = this.model.at('validator');
+      var counter = {calls: 0};
+
+      var validator = new Validator($validator, countingFields(counter));
+      validator.destroy();
+      $validator.set('name.value', 'a');
+
+      expect(counter.calls).to.be(0);
+      expect($validator.get('name.isDirty')).to.be(false);
+    });
+
+    it('Clears its data when destroyed with clear', function () {
+      var $validator = this.model.at('validator');
+
+      var validator = new Validator($validator, {name: {}});
+      validator.destroy(true);
+
+      expect($validator.get()).to.be(undefined);
+    });
+
+    it('Cancels pending validations when destroyed', function (done) {
+      var $validator = this.model.at('validator');
+
+      var validator = new Validator($validator, {
+        name: {
+          debounce: 10,
+          validations: [{rule: 'required'}]
+        }
+      });
+      validator.validate('name', function (valid) {
+        expect(valid).to.be(false);
+        expect($validator.get('name.isInvalid')).to.be(false);
+        done();
+      });
+      validator.destroy();
+    });
+
+    it('Is destroyed along with its component', function () {
+      var $validator = this.model.at('validator');
+      var component = new EventEmitter();
+      var counter = {calls: 0};
+
+      new Validator($validator, {}, countingFields(counter), {component: component});
+      component.emit('destroy');
+      $validator.set('name.value', 'a');
+
+      expect(counter.calls).to.be(0);
+      expect(component.listeners('destroy').length).to.be(0);
+    });
+  });
+
+  describe('Partial reset and commit', function () {
+    var fields = {
+      a: {
+        group: 'first',
+        validations: [
+          {
+            rule: 'required'
+          }
+        ]
+      },
+      b: {
+        group: 'first'
+      },
+      'c.d.f': {
+        group: 'second',
+        validations: [
+          {
+            rule: 'minLength:2'
+          }
+        ]
+      }
+    };
+
+    it('Resets a field', function () {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.2');
+
+      var validator = new Validator($validator, $origin, fields);
+      $validator.set('a.value', '');
+      $validator.set('b.value', 3);
+      validator.markTouched('a');
+      validator.validate('a');
+
+      validator.resetField('a');
+
+      expect($validator.get('a.value')).to.be('a');
+      expect($validator.get('a.isInvalid')).to.be(false);
+      expect($validator.get('a.messages')).to.be(undefined);
+      expect($validator.get('a.isDirty')).to.be(false);
+      expect($validator.get('a.hasChanged')).to.be(false);
+      expect($validator.get('touchedFields')).to.eql([]);
+      expect($validator.get('hasInvalidFields')).to.be(false);
+      expect($validator.get('groups.first.isValid')).to.be(true);
+      expect($validator.get('b.value')).to.be(3);
+      expect($validator.get('hasChangedFields')).to.be(true);
+    });
+
+    it('Resets a group', function () {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.2');
+
+      var validator = new Validator($validator, $origin, fields);
+      $validator.set('a.value', 'x');
+      $validator.set('b.value', 3);
+      $validator.set('c.d.f.value', 'y');
+
+      validator.resetGroup('first');
+
+      expect(validator.getValues(true)).to.eql({a: 'a', b: 2, c: {d: {f: 'y'}}});
+    });
+
+    it('Commits a field', function (done) {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.2');
+
+      var validator = new Validator($validator, $origin, fields);
+      $validator.set('a.value', 'x');
+      $validator.set('c.d.f.value', 'y');
+
+      validator.commitField('a', function (valid) {
+        expect(valid).to.be(true);
+        expect($origin.get('a')).to.be('x');
+        expect($origin.get('c.d.f')).to.be('f');
+        expect($validator.get('a.hasChanged')).to.be(false);
+        expect($validator.get('c.d.f.wasValidated')).to.be(false);
+        expect($validator.get('isSubmitted')).to.be(false);
+        done();
+      });
+    });
+
+    it('Does not commit an invalid group', function (done) {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.2');
+
+      var validator = new Validator($validator, $origin, fields);
+      $validator.set('c.d.f.value', 'y');
+
+      validator.commitGroup('second').then(function (valid) {
+        expect(valid).to.be(false);
+        expect($origin.get('c.d.f')).to.be('f');
+        expect($validator.get('c.d.f.isInvalid')).to.be(true);
+        done();
+      });
+    });
+
+    it('Commits a group of nested fields without touching their siblings', function () {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.2');
+
+      $origin.set('c.d.g', 'g');
+
+      var validator = new Validator($validator, $origin, fields);
+      $validator.set('c.d.f.value', 'yy');
+      $validator.set('a.value', 'x');
+
+      validator.commitGroup('second', true);
+
+      expect($origin.get('c.d')).to.eql({f: 'yy', g: 'g'});
+      expect($origin.get('a')).to.be('a');
+    });
+  });
+
+  describe('Commit mode', function () {
+    var options = {
+      commitMode: 'changed'
+    };
+
+    beforeEach(function () {
+      this.model.set('collection.3', {
+        id: '3',
+        name: 'Name',
+        nickname: 'Nick',
+        tags: ['a', 'b', 'c'],
+        c: {
+          d: 'd',
+          e: 'e'
+        }
+      });
+    });
+
+    var fields = {
+      name: {},
+      nickname: {},
+      tags: {},
+      'c.d': {},
+      'c.e': {}
+    };
+
+    it('Only writes changed fields', function (done) {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.3');
+
+      var validator = new Validator($validator, $origin, {}, fields, options);
+      $validator.set('name.value', 'New name');
+      $validator.set('c.e.value', 'f');
+      $origin.set('c.d', 'Concurrent');
+
+      validator.commit(function (valid, paths) {
+        expect(valid).to.be(true);
+        expect(paths).to.eql(['name', 'c.e']);
+        expect($validator.get('committedPaths')).to.eql(['name', 'c.e']);
+        expect($origin.get()).to.eql({id: '3', name: 'New name', nickname: 'Nick', tags: ['a', 'b', 'c'], c: {d: 'Concurrent', e: 'f'}});
+        expect($validator.get('name.hasChanged')).to.be(false);
+        expect($validator.get('hasChangedFields')).to.be(false);
+        done();
+      });
+    });
+
+    it('Does not share committed values with origin', function (done) {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.3');
+      $origin.set('list', [{n: 1}, {n: 2}]);
+
+      var validator = new Validator($validator, $origin, {}, {c: {}, list: {}}, options);
+      $validator.set('c.value.d', 'e');
+      $validator.push('list.value', {n: 4});
+
+      validator.commit(function () {
+        $validator.set('c.value.d', 'f');
+        $validator.set('list.value.1.n', 3);
+        $validator.set('list.value.2.n', 5);
+
+        expect($origin.get('c.d')).to.be('e');
+        expect($origin.get('list')).to.eql([{n: 1}, {n: 2}, {n: 4}]);
+        expect($validator.get('c.hasChanged')).to.be(true);
+        expect($validator.get('list.hasChanged')).to.be(true);
+        done();
+      });
+    });
+
+    it('Deletes removed values', function () {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.3');
+
+      var validator = new Validator($validator, $origin, {}, fields, options);
+      $validator.del('nickname.value');
+      validator.commit(true);
+
+      expect($origin.get()).to.not.have.key('nickname');
+    });
+
+    it('Writes changes to arrays as array operations', function () {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.3');
+      var ops = [];
+
+      _.each(['change', 'insert', 'remove'], function (event) {
+        this.model.on(event, '**', function (path) {
+          if (path.indexOf('collection.3.') === 0) ops.push(event + ' ' + path.slice('collection.3.'.length));
+        });
+      }, this);
+
+      var validator = new Validator($validator, $origin, {}, fields, options);
+
+      $validator.insert('tags.value', 1, ['x']);
+      validator.commit(true);
+      $validator.set('tags.value.2', 'y');
+      validator.commit(true);
+      $validator.remove('tags.value', 0);
+      validator.commit(true);
+
+      expect(ops).to.eql(['insert tags', 'change tags.2', 'remove tags']);
+      expect($origin.get('tags')).to.eql(['x', 'y', 'c']);
+      expect($validator.get('committedPaths')).to.eql(['tags']);
+    });
+
+    it('Writes changed fields of validators without fields', function () {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.3');
+
+      var validator = new Validator($validator, $origin, {}, null, options);
+      $validator.set('nickname.value', 'Nicky');
+      validator.commit(true);
+
+      expect($validator.get('committedPaths')).to.eql(['nickname']);
+      expect($origin.get('nickname')).to.be('Nicky');
+    });
+
+    it('Reports all paths when writing all values', function () {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.3');
+
+      var validator = new Validator($validator, $origin, fields);
+      validator.commit(true);
+
+      expect($validator.get('committedPaths')).to.eql(['name', 'nickname', 'tags', 'c']);
+    });
+  });
+
+  describe('Conflicts', function () {
+    beforeEach(function () {
+      this.model.set('collection.3', {
+        id: '3',
+        name: 'Name',
+        nickname: 'Nick',
+        address: {
+          street: 'Main street',
+          zip: '12345'
+        }
+      });
+    });
+
+    var fields = {
+      name: {},
+      nickname: {},
+      address: {}
+    };
+
+    it('Refreshes unchanged fields', function () {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.3');
+
+      new Validator($validator, $origin, fields);
+      $origin.set('nickname', 'Nicky');
+
+      expect($validator.get('nickname.value')).to.be('Nicky');
+      expect($validator.get('nickname.hasChanged')).to.be(false);
+      expect($validator.get('nickname.isDirty')).to.be(false);
+      expect($validator.get('hasConflicts')).to.be(false);
+    });
+
+    it('Detects conflicts with changed fields', function () {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.3');
+
+      new Validator($validator, $origin, fields);
+      $validator.set('name.value', 'Mine');
+      $origin.set('name', 'Theirs');
+
+      expect($validator.get('name.value')).to.be('Mine');
+      expect($validator.get('name.hasConflict')).to.be(true);
+      expect($validator.get('name.theirValue')).to.be('Theirs');
+      expect($validator.get('name.hasChanged')).to.be(true);
+      expect($validator.get('hasConflicts')).to.be(true);
+
+      $origin.set('name', 'Name');
+
+      expect($validator.get('name.hasConflict')).to.be(undefined);
+      expect($validator.get('hasConflicts')).to.be(false);
+    });
+
+    it('Detects conflicts with unchanged fields if they are not refreshed', function () {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.3');
+
+      new Validator($validator, $origin, {}, fields, {refreshUnchanged: false});
+      $origin.set('nickname', 'Nicky');
+
+      expect($validator.get('nickname.value')).to.be('Nick');
+      expect($validator.get('nickname.hasConflict')).to.be(true);
+    });
+
+    it('Keeps mine', function () {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.3');
+
+      var validator = new Validator($validator, $origin, fields);
+      $validator.set('name.value', 'Mine');
+      $origin.set('name', 'Theirs');
+
+      expect(validator.resolveConflict('name', 'mine')).to.be(true);
+      expect($validator.get('name.value')).to.be('Mine');
+      expect($validator.get('name.hasConflict')).to.be(undefined);
+      expect($validator.get('hasConflicts')).to.be(false);
+
+      validator.commit(true);
+
+      expect($origin.get('name')).to.be('Mine');
+    });
+
+    it('Takes theirs', function () {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.3');
+
+      var validator = new Validator($validator, $origin, fields);
+      $validator.set('name.value', 'Mine');
+      $origin.set('name', 'Theirs');
+      validator.resolveConflict('name', 'theirs');
+
+      expect($validator.get('name.value')).to.be('Theirs');
+      expect($validator.get('name.hasChanged')).to.be(false);
+      expect($validator.get('hasConflicts')).to.be(false);
+    });
+
+    it('Merges changes to different properties', function () {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.3');
+
+      var validator = new Validator($validator, $origin, fields);
+      $validator.set('address.value.street', 'My street');
+      $origin.set('address.zip', '23456');
+
+      expect(validator.resolveConflict('address', 'merge')).to.be(true);
+      expect($validator.get('address.value')).to.eql({street: 'My street', zip: '23456'});
+      expect($validator.get('address.hasChanged')).to.be(true);
+
+      $validator.set('address.value.zip', '34567');
+      $origin.set('address.zip', '45678');
+
+      expect(validator.resolveConflict('address', 'merge')).to.be(false);
+      expect($validator.get('address.hasConflict')).to.be(true);
+    });
+
+    it('Resolves conflicts by the conflict strategy', function () {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.3');
+
+      new Validator($validator, $origin, {}, fields, {conflictStrategy: 'theirs'});
+      $validator.set('name.value', 'Mine');
+      $origin.set('name', 'Theirs');
+
+      expect($validator.get('name.value')).to.be('Theirs');
+      expect($validator.get('hasConflicts')).to.be(false);
+    });
+
+    it('Does not detect conflicts with its own commits', function () {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.3');
+
+      var validator = new Validator($validator, $origin, fields);
+      $validator.set('name.value', 'Mine');
+      validator.commit(true);
+
+      expect($validator.get('hasConflicts')).to.be(false);
+      expect($validator.get('name.hasChanged')).to.be(false);
+
+      $origin.set('name', 'Theirs');
+
+      expect($validator.get('name.value')).to.be('Theirs');
+    });
+  });
+
+  describe('Commit callbacks', function () {
+    // Writes to remote documents call back once the server acknowledged them
+    function delayWrites($origin, err) {
+      var setEach = $origin.setEach;
+
+      $origin.setEach = function (subpath, values, callback) {
+        setEach.call(this, subpath, values);
+        setTimeout(function () {
+          callback(err);
+        }, 1);
+      };
+    }
+
+    it('Calls back on forced commits', function (done) {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.2');
+
+      var validator = new Validator($validator, $origin, {a: {}});
+      $validator.set('a.value', 'b');
+
+      validator.commit(true, function (valid, paths, err) {
+        expect(valid).to.be(true);
+        expect(err).to.be(null);
+        expect($origin.get('a')).to.be('b');
+        done();
+      });
+    });
+
+    it('Calls back when the write is done', function (done) {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.2');
+
+      var validator = new Validator($validator, $origin, {a: {}});
+      delayWrites(validator.origin);
+      $validator.set('a.value', 'b');
+
+      validator.commit(function (valid, paths, err) {
+        expect(valid).to.be(true);
+        expect(err).to.be(null);
+        expect($validator.get('isCommitting')).to.be(false);
+        expect($validator.get('a.hasChanged')).to.be(false);
+        done();
+      });
+
+      expect($validator.get('isCommitting')).to.be(true);
+    });
+
+    it('Calls back without origin', function (done) {
+      var validator = new Validator(this.model.at('validator'), {}, {a: {}});
+
+      validator.commit(function (valid, paths) {
+        expect(valid).to.be(false);
+        expect(paths).to.eql([]);
+
+        validator.commitField('a').then(function (valid) {
+          expect(valid).to.be(false);
+          done();
+        });
+      });
+    });
+
+    it('Calls back without values to write', function (done) {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.4');
+      $origin.set({id: '4'});
+
+      var validator = new Validator($validator, $origin);
+
+      validator.commit(true, function (valid, paths, err) {
+        expect(err).to.be(null);
+        expect(paths).to.eql([]);
+        expect($validator.get('isCommitting')).to.be(false);
+        done();
+      });
+    });
+
+    it('Passes write errors', function (done) {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.2');
+      var error = new Error('Rejected');
+
+      var validator = new Validator($validator, $origin, {a: {}});
+      delayWrites(validator.origin, error);
+
+      validator.commit(true, function (valid, paths, err) {
+        expect(valid).to.be(true);
+        expect(err).to.be(error);
+        expect($validator.get('commitError')).to.be(error);
+        expect($validator.get('isCommitting')).to.be(false);
+
+        validator.commit(true).then(function (valid) {
+          expect(valid).to.be(true);
+          expect($validator.get('commitError')).to.be(error);
+          done();
+        });
+        expect($validator.get('commitError')).to.be(undefined);
+      });
+    });
+  });
+
+  describe('Validating values', function () {
+    var fields = {
+      name: {
+        validations: [
+          {
+            rule: 'required'
+          }
+        ]
+      },
+      'company.email': {
+        validations: [
+          {
+            rule: 'email'
+          }
+        ]
+      },
+      'tags.*': {
+        validations: [
+          {
+            rule: 'minLength:2'
+          }
+        ]
+      },
+      nickname: {
+        validations: [
+          {
+            rule: function (value) {
+              return new Promise(function (resolve) {
+                setTimeout(function () {
+                  resolve(value !== 'taken');
+                }, 1);
+              });
+            },
+            message: 'Taken.'
+          }
+        ]
+      }
+    };
+
+    it('Validates values without a model', function (done) {
+      var values = {
+        name: '',
+        company: {
+          email: 'not an email'
+        },
+        tags: ['ok', 'x'],
+        nickname: 'taken'
+      };
+
+      Validator.validateValues(fields, values, function (result) {
+        expect(result.valid).to.be(false);
+        expect(result.fields).to.eql({
+          name: {valid: false, messages: ['Required field']},
+          'company.email': {valid: false, messages: ['Wrong email format.']},
+          'tags.0': {valid: true, messages: []},
+          'tags.1': {valid: false, messages: ['Must be at least 2 characters.']},
+          nickname: {valid: false, messages: ['Taken.']}
+        });
+        done();
+      });
+    });
+
+    it('Uses the options', function (done) {
+      var options = {
+        locale: 'sv',
+        locales: {
+          sv: {
+            required: 'Obligatoriskt fält'
+          }
+        }
+      };
+
+      Validator.validateValues(fields, {name: ''}, options).then(function (result) {
+        expect(result.fields.name.messages).to.eql(['Obligatoriskt fält']);
+        done();
+      });
+    });
+
+    it('Passes valid values', function (done) {
+      var values = {
+        name: 'Name',
+        company: {
+          email: 'test@test.com'
+        },
+        tags: ['ok'],
+        nickname: 'free'
+      };
+
+      Validator.validateValues(fields, values, {}, function (result) {
+        expect(result.valid).to.be(true);
+        done();
+      });
+    });
+
+    it('Waits for all rules to finish', function (done) {
+      function failAfter(wait) {
+        return function () {
+          return new Promise(function (resolve) {
+            setTimeout(function () {
+              resolve(false);
+            }, wait);
+          });
+        };
+      }
+
+      var asyncFields = {
+        email: {
+          validations: [
+            {
+              rule: failAfter(0),
+              message: 'A'
+            },
+            {
+              rule: failAfter(20),
+              message: 'B'
+            }
+          ]
+        }
+      };
+
+      Validator.validateValues(asyncFields, {email: 'test'}, {}, function (result) {
+        expect(result.fields.email).to.eql({valid: false, messages: ['A', 'B']});
+        done();
+      });
+    });
+  });
+
+  describe('Parse and format', function () {
+    beforeEach(function () {
+      this.model.set('collection.3', {
+        id: '3',
+        age: 30,
+        email: 'test@test.com',
+        born: new Date('2000-01-02T00:00:00.000Z'),
+        scores: [1, 2]
+      });
+    });
+
+    var fields = {
+      age: {
+        parse: 'toNumber',
+        format: 'toString',
+        validations: [
+          {
+            rule: 'min:18'
+          }
+        ]
+      },
+      email: {
+        parse: ['trim', 'lowercase'],
+        validations: [
+          {
+            rule: 'email'
+          }
+        ]
+      },
+      born: {
+        parse: 'toDate'
+      },
+      'scores.*': {
+        parse: 'toNumber',
+        format: 'toString'
+      }
+    };
+
+    it('Formats values for editing', function () {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.3');
+
+      new Validator($validator, $origin, fields);
+
+      expect($validator.get('age.value')).to.be('30');
+      expect($validator.get('scores.value')).to.eql(['1', '2']);
+
+      $validator.set('age.value', '31');
+      $validator.set('age.value', '30');
+
+      expect($validator.get('age.hasChanged')).to.be(false);
+    });
+
+    it('Validates parsed values', function () {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.3');
+
+      var validator = new Validator($validator, $origin, fields);
+      $validator.set('age.value', ' 17 ');
+      $validator.set('email.value', ' TEST@test.COM ');
+      validator.validateAll();
+
+      expect($validator.get('age.messages')).to.eql(['Must be at least 18.']);
+      expect($validator.get('email.isValid')).to.be(true);
+      expect($validator.get('email.hasChanged')).to.be(false);
+    });
+
+    it('Invalidates values that can not be parsed', function () {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.3');
+
+      var validator = new Validator($validator, $origin, fields);
+      $validator.set('age.value', 'thirty');
+      $validator.set('born.value', 'yesterday');
+      $validator.set('scores.value.1', 'two');
+
+      validator.validateAll();
+
+      expect($validator.get('age.messages')).to.eql(['Must be a number.']);
+      expect($validator.get('born.isInvalid')).to.be(true);
+      expect($validator.get('born.messages')).to.eql(['Must be a valid date.']);
+      expect($validator.get('scores.items.0.isValid')).to.be(true);
+      expect($validator.get('scores.items.1.messages')).to.eql(['Must be a number.']);
+    });
+
+    it('Uses custom transforms and messages', function () {
+      var $validator = this.model.at('validator');
+      var options = {
+        transforms: {
+          cents: function (value) {
+            return Math.round(Number(value) * 100);
+          }
+        }
+      };
+
+      var validator = new Validator($validator, {}, {
+        price: {
+          parse: ['toNumber', 'cents']
+        },
+        code: {
+          parse: function (value) {
+            if (!/^\d+$/.test(value)) throw new Error();
+
+            return Number(value);
+          }
+        },
+        zip: {
+          parse: 'toNumber',
+          parseMessage: 'Must be digits.'
+        }
+      }, options);
+      $validator.set('price.value', '1.5');
+      $validator.set('code.value', 'abc');
+      $validator.set('zip.value', 'abc');
+      validator.validateAll();
+
+      expect(validator._getParsedValue('price')).to.be(150);
+      expect($validator.get('code.messages')).to.eql(['Wrong format.']);
+      expect($validator.get('zip.messages')).to.eql(['Must be digits.']);
+    });
+
+    it('Commits parsed values', function () {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.3');
+
+      var validator = new Validator($validator, $origin, fields);
+      $validator.set('age.value', '31');
+      $validator.set('email.value', ' NEW@test.com');
+      $validator.set('scores.value.1', '3');
+      validator.commit(true);
+
+      expect($origin.get('age')).to.be(31);
+      expect($origin.get('email')).to.be('new@test.com');
+      expect($origin.get('scores')).to.eql([1, 3]);
+      expect($validator.get('age.value')).to.be('31');
+      expect($validator.get('scores.value')).to.eql(['1', '3']);
+      expect($validator.get('hasChangedFields')).to.be(false);
+    });
+
+    it('Parses without changing the values being edited', function () {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.3');
+      var scores = ['5', '2'];
+
+      var validator = new Validator($validator, $origin, fields);
+      $validator.set('scores.value', scores);
+      validator.commitField('scores', true);
+
+      expect($origin.get('scores')).to.eql([5, 2]);
+      expect($validator.get('scores.value')).to.be(scores);
+      expect(scores).to.eql(['5', '2']);
+    });
+  });
+
+
+  describe('Severity', function () {
+    var fields = {
+      name: {
+        group: 'person',
+        validations: [
+          {
+            rule: 'required'
+          },
+          {
+            rule: 'minLength:5',
+            severity: 'warning',
+            message: 'Short name.'
+          },
+          {
+            rule: 'maxLength:3',
+            severity: 'info',
+            message: 'Long name.'
+          }
+        ]
+      },
+      email: {
+        group: 'contact',
+        validations: [
+          {
+            rule: 'email',
+            severity: 'info'
+          }
+        ]
+      }
+    };
+
+    it('Adds warnings without invalidating the field', function () {
+      var $validator = this.model.at('validator');
+
+      var validator = new Validator($validator, {}, fields);
+      $validator.set('name.value', 'Bo');
+      $validator.set('email.value', 'bo');
+
+      validator.validateAll(function (valid) {
+        expect(valid).to.be(true);
+      });
+
+      expect($validator.get('name.isValid')).to.be(true);
+      expect($validator.get('name.messages')).to.be(undefined);
+      expect($validator.get('name.warnings')).to.eql(['Short name.']);
+      expect($validator.get('email.warnings')).to.eql(['Wrong email format.']);
+      expect($validator.get('hasInvalidFields')).to.be(false);
+      expect($validator.get('hasWarnings')).to.be(true);
+      expect($validator.get('groups.person.hasWarnings')).to.be(true);
+      expect($validator.get('groups.contact.hasWarnings')).to.be(false);
+    });
+
+    it('Does not count infos as warnings', function () {
+      var $validator = this.model.at('validator');
+
+      var validator = new Validator($validator, {}, fields);
+      $validator.set('name.value', 'Bobby');
+      $validator.set('email.value', 'bo');
+      validator.validateAll();
+
+      expect($validator.get('name.warnings')).to.eql(['Long name.']);
+      expect($validator.get('hasWarnings')).to.be(false);
+      expect($validator.get('groups.person.hasWarnings')).to.be(false);
+    });
+
+    it('Clears warnings once the field passes', function () {
+      var $validator = this.model.at('validator');
+
+      var validator = new Validator($validator, {}, fields);
+      $validator.set('name.value', 'Bo');
+      validator.validateAll();
+      $validator.set('name.value', 'Bobby');
+      validator.validate('name');
+
+      expect($validator.get('name.warnings')).to.eql(['Long name.']);
+      expect($validator.get('hasWarnings')).to.be(false);
+    });
+
+    it('Does not block commit', function (done) {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.1');
+
+      var validator = new Validator($validator, $origin, {}, fields);
+      $validator.set('name.value', 'Bo');
+
+      validator.commit(false, function (valid) {
+        expect(valid).to.be(true);
+        expect($origin.get('name')).to.be('Bo');
+        expect($validator.get('name.warnings')).to.eql(['Short name.']);
+        done();
+      });
+    });
+
+    it('Re-renders warnings on locale change', function () {
+      var $validator = this.model.at('validator');
+
+      var validator = new Validator($validator, {}, fields, {
+        locales: {
+          sv: {
+            email: 'Fel format.'
+          }
+        }
+      });
+      $validator.set('email.value', 'bo');
+      validator.validateAll();
+      validator.setLocale('sv');
+
+      expect($validator.get('email.warnings')).to.eql(['Fel format.']);
+    });
+  });
+
+
+  describe('Structured errors', function () {
+    var fields = {
+      name: {
+        validations: [
+          {
+            rule: 'required'
+          },
+          {
+            rule: 'minLength:5',
+            code: 'tooShort'
+          },
+          {
+            rule: function (value) {
+              return value !== 'Bo';
+            },
+            message: 'Not Bo.'
+          }
+        ]
+      },
+      email: {
+        validations: [
+          {
+            rule: 'email'
+          }
+        ]
+      },
+      'tags.*': {
+        validations: [
+          {
+            rule: 'minLength:2'
+          }
+        ]
+      }
+    };
+
+    it('Describes failures in declaration order', function () {
+      var $validator = this.model.at('validator');
+
+      var validator = new Validator($validator, {}, fields);
+      $validator.set('name.value', 'Bo');
+      validator.validate('name');
+
+      expect($validator.get('name.errors')).to.eql([
+        {rule: 'minLength', code: 'tooShort', message: 'Must be at least 5 characters.', params: [5]},
+        {rule: null, code: 'invalid', message: 'Not Bo.', params: []}
+      ]);
+
+      $validator.set('name.value', 'Bobby');
+      validator.validate('name');
+
+      expect($validator.get('name.errors')).to.be(undefined);
+    });
+
+    it('Keeps declaration order for rules finishing in any order', function (done) {
+      function failAfter(wait) {
+        return function (value, callback) {
+          setTimeout(function () {
+            callback(false);
+          }, wait);
+        };
+      }
+
+      var $validator = this.model.at('validator');
+
+      var validator = new Validator($validator, {}, {
+        name: {
+          validations: [
+            {
+              rule: failAfter(30),
+              name: 'first',
+              message: 'First.'
+            },
+            {
+              rule: failAfter(5),
+              name: 'second',
+              message: 'Second.'
+            }
+          ]
+        }
+      });
+
+      validator.validate('name', function () {
+        expect($validator.get('name.messages')).to.eql(['First.', 'Second.']);
+        expect(_.pluck(validator.getErrors().name, 'rule')).to.eql(['first', 'second']);
+        done();
+      });
+    });
+
+    it('Describes fields set as invalid', function () {
+      var $validator = this.model.at('validator');
+
+      var validator = new Validator($validator, {}, fields);
+      validator.setInvalid('email', 'Taken.');
+
+      expect($validator.get('email.errors')).to.eql([
+        {rule: null, code: 'invalid', message: 'Taken.', params: []}
+      ]);
+    });
+
+    it('Gets the errors of all fields', function () {
+      var $validator = this.model.at('validator');
+
+      var validator = new Validator($validator, {}, fields);
+      $validator.set('email.value', 'test');
+      $validator.set('tags.value', ['a', 'bc']);
+      validator.validateAll();
+
+      expect(validator.getErrors()).to.eql({
+        name: [{rule: 'required', code: 'required', message: 'Required field', params: []}],
+        email: [{rule: 'email', code: 'email', message: 'Wrong email format.', params: []}],
+        'tags.0': [{rule: 'minLength', code: 'minLength', message: 'Must be at least 2 characters.', params: [2]}]
+      });
+    });
+
+    it('Forgets errors on reset', function () {
+      var $validator = this.model.at('validator');
+
+      var validator = new Validator($validator, {}, fields, {
+        locales: {
+          sv: {
+            required: 'Obligatoriskt'
+          }
+        }
+      });
+      validator.validateAll();
+      validator.reset();
+      validator.setLocale('sv');
+
+      expect(validator.getErrors()).to.eql({});
+      expect($validator.get('name.messages')).to.be(undefined);
+    });
+
+    it('Re-renders error messages on locale change', function () {
+      var $validator = this.model.at('validator');
+
+      var validator = new Validator($validator, {}, fields, {
+        locales: {
+          sv: {
+            email: 'Fel format.'
+          }
+        }
+      });
+      $validator.set('email.value', 'test');
+      validator.validate('email');
+      validator.setLocale('sv');
+
+      expect($validator.get('email.errors.0.message')).to.be('Fel format.');
+    });
+  });
+
+
+  describe('Error summary', function () {
+    var fields = {
+      name: {
+        label: 'Name',
+        validations: [
+          {
+            rule: 'required'
+          }
+        ]
+      },
+      'addresses.*.street': {
+        validations: [
+          {
+            rule: 'required'
+          }
+        ]
+      },
+      'addresses.*.zip': {
+        label: 'Zip code',
+        validations: [
+          {
+            rule: 'minLength:5'
+          }
+        ]
+      },
+      email: {
+        validations: [
+          {
+            rule: 'email'
+          }
+        ]
+      }
+    };
+
+    it('Lists invalid fields in declaration order', function () {
+      var $validator = this.model.at('validator');
+
+      var validator = new Validator($validator, {}, fields);
+      $validator.set('addresses.value', [{street: 'Main', zip: '123'}, {zip: '12345'}]);
+      $validator.set('email.value', 'test');
+      validator.validateAll();
+
+      expect($validator.get('errorSummary')).to.eql([
+        {field: 'name', label: 'Name', messages: ['Required field']},
+        {field: 'addresses.items.0.zip', label: 'Zip code', messages: ['Must be at least 5 characters.']},
+        {field: 'addresses.items.1.street', label: 'addresses.items.1.street', messages: ['Required field']},
+        {field: 'email', label: 'email', messages: ['Wrong email format.']}
+      ]);
+      expect($validator.get('firstInvalidField')).to.be('name');
+    });
+
+    it('Is complete once all fields are validated', function (done) {
+      var $validator = this.model.at('validator');
+
+      var validator = new Validator($validator, {}, {
+        a: {
+          validations: [
+            {
+              rule: function (value, callback) {
+                setTimeout(function () {
+                  callback(false);
+                }, 30);
+              }
+            }
+          ]
+        },
+        b: {
+          validations: [
+            {
+              rule: 'required'
+            }
+          ]
+        }
+      });
+
+      validator.validateAll(function (valid) {
+        expect(valid).to.be(false);
+        expect($validator.get('firstInvalidField')).to.be('a');
+        expect(_.pluck($validator.get('errorSummary'), 'field')).to.eql(['a', 'b']);
+        done();
+      });
+    });
+
+    it('Follows the validity of fields', function () {
+      var $validator = this.model.at('validator');
+
+      var validator = new Validator($validator, {}, fields);
+      $validator.set('email.value', 'test');
+      validator.validateAll();
+      $validator.set('name.value', 'Bo');
+      validator.validate('name');
+
+      expect(_.pluck($validator.get('errorSummary'), 'field')).to.eql(['email']);
+      expect($validator.get('firstInvalidField')).to.be('email');
+
+      validator.setInvalid('name', 'Taken.');
+
+      expect($validator.get('errorSummary.0')).to.eql({field: 'name', label: 'Name', messages: ['Taken.']});
+
+      validator.reset();
+      $validator.set('email.value', 'test@test.com');
+      validator.validate('email');
+
+      expect($validator.get('errorSummary')).to.eql([]);
+      expect($validator.get('firstInvalidField')).to.be(undefined);
+    });
+
+    it('Updates messages added to invalid fields', function () {
+      var $validator = this.model.at('validator');
+      var changes = [];
+
+      var validator = new Validator($validator, {}, fields);
+      validator.validate('name');
+      $validator.on('change', 'errorSummary', function (value) {
+        changes.push(value);
+      });
+      validator.setInvalid('name', 'Taken.');
+
+      expect(_.last(changes)[0].messages).to.eql(['Required field', 'Taken.']);
+      expect($validator.get('errorSummary.0.messages')).not.to.be($validator.get('name.messages'));
+    });
+
+    it('Is cleared on reset', function () {
+      var $validator = this.model.at('validator');
+
+      var validator = new Validator($validator, {}, fields);
+      $validator.set('addresses.value', [{zip: '1'}]);
+      validator.validateAll();
+      validator.reset();
+
+      expect($validator.get('errorSummary')).to.eql([]);
+      expect($validator.get('firstInvalidField')).to.be(undefined);
+      expect($validator.get('hasInvalidFields')).to.be(false);
+      expect($validator.get('name.errors')).to.be(undefined);
+    });
+
+    it('Re-renders messages on locale change', function () {
+      var $validator = this.model.at('validator');
+
+      var validator = new Validator($validator, {}, fields, {
+        locales: {
+          sv: {
+            required: 'Obligatoriskt'
+          }
+        }
+      });
+      validator.validate('name');
+      validator.setLocale('sv');
+
+      expect($validator.get('errorSummary.0.messages')).to.eql(['Obligatoriskt']);
+    });
+  });
+
+
+  describe('Applied errors', function () {
+    var fields = {
+      name: {
+        validations: [
+          {
+            rule: 'required'
+          }
+        ]
+      },
+      'company.email': {
+        validations: [
+          {
+            rule: 'email'
+          }
+        ]
+      },
+      nickname: {},
+      'addresses.*.street': {
+        validations: [
+          {
+            rule: 'required'
+          }
+        ]
+      }
+    };
+
+    it('Maps errors onto fields by path', function () {
+      var $validator = this.model.at('validator');
+
+      var validator = new Validator($validator, {}, fields);
+      $validator.set('addresses.value', [{street: 'Main'}, {street: 'Side'}]);
+
+      var unknown = validator.applyErrors({
+        'company.email': 'Already taken.',
+        nickname: ['Too rude.', 'Too long.'],
+        addresses: [null, {street: 'No such street.'}],
+        age: 'Too young.'
+      });
+
+      expect(unknown).to.eql(['age']);
+      expect($validator.get('company.email.isInvalid')).to.be(true);
+      expect($validator.get('company.email.messages')).to.eql(['Already taken.']);
+      expect($validator.get('nickname.errors')).to.eql([
+        {rule: null, code: 'server', message: 'Too rude.', params: []},
+        {rule: null, code: 'server', message: 'Too long.', params: []}
+      ]);
+      expect($validator.get('addresses.items.1.street.messages')).to.eql(['No such street.']);
+      expect($validator.get('addresses.items.1.isInvalid')).to.be(true);
+      expect($validator.get('hasInvalidFields')).to.be(true);
+
+      expect(validator.applyErrors({'addresses.0.street': 'No such street.'})).to.eql([]);
+      expect($validator.get('addresses.items.0.street.isInvalid')).to.be(true);
+      expect($validator.get('nickname.messages')).to.be(undefined);
+    });
+
+    it('Keeps errors when validating again', function () {
+      var $validator = this.model.at('validator');
+
+      var validator = new Validator($validator, {}, fields);
+      $validator.set('company.email.value', 'test');
+      $validator.set('nickname.value', 'Bo');
+      validator.applyErrors({'company.email': 'Already taken.', nickname: 'Taken.'});
+
+      var result;
+      validator.validateAll(function (valid) {
+        result = valid;
+      });
+
+      expect(result).to.be(false);
+      expect($validator.get('company.email.messages')).to.eql(['Already taken.', 'Wrong email format.']);
+      expect($validator.get('nickname.isInvalid')).to.be(true);
+      expect($validator.get('nickname.messages')).to.eql(['Taken.']);
+    });
+
+    it('Drops errors once the value changes', function () {
+      var $validator = this.model.at('validator');
+
+      var validator = new Validator($validator, {}, fields);
+      $validator.set('name.value', 'Bo');
+      $validator.set('addresses.value', [{street: 'Main'}]);
+      validator.applyErrors({name: 'Taken.', 'addresses.0.street': 'No such street.'});
+
+      $validator.set('name.value', 'Bob');
+
+      expect($validator.get('name.messages')).to.be(undefined);
+      expect($validator.get('name.isInvalid')).to.be(false);
+      expect($validator.get('addresses.items.0.street.isInvalid')).to.be(true);
+
+      validator.validate('name');
+
+      expect($validator.get('name.isValid')).to.be(true);
+
+      $validator.set('addresses.value.0.street', 'Side');
+
+      expect($validator.get('addresses.items.0.street.messages')).to.be(undefined);
+      expect($validator.get('hasInvalidFields')).to.be(false);
+    });
+
+    it('Keeps errors of items that move', function () {
+      var $validator = this.model.at('validator');
+
+      var validator = new Validator($validator, {}, fields);
+      $validator.set('addresses.value', [{street: 'Main'}]);
+      validator.applyErrors({'addresses.0.street': 'No such street.'});
+
+      $validator.insert('addresses.value', 0, {street: 'Side'});
+
+      expect($validator.get('addresses.items.1.street.messages')).to.eql(['No such street.']);
+      expect(validator.getErrors()).to.eql({
+        'addresses.1.street': [{rule: null, code: 'server', message: 'No such street.', params: []}]
+      });
+    });
+
+    it('Takes the errors it gets', function () {
+      var $validator = this.model.at('validator');
+
+      var validator = new Validator($validator, {}, fields);
+      $validator.set('addresses.value', [{street: 'Main'}, {}]);
+      validator.validateAll();
+
+      var other = new Validator(this.model.at('other'), {}, fields);
+      other.model.set('addresses.value', [{street: 'Main'}, {}]);
+
+      expect(other.applyErrors(_.mapValues(validator.getErrors(), function (errors) {
+        return _.pluck(errors, 'message');
+      }))).to.eql([]);
+      expect(other.model.get('name.messages')).to.eql(['Required field']);
+      expect(other.model.get('addresses.items.1.street.messages')).to.eql(['Required field']);
+    });
+
+    it('Removes errors on reset', function () {
+      var $validator = this.model.at('validator');
+      var $origin = this.model.at('collection.1');
+
+      var validator = new Validator($validator, $origin, {}, fields);
+      validator.applyErrors({name: 'Taken.'});
+      validator.reset();
+
+      expect(validator.getErrors()).to.eql({});
+      expect($validator.get('name.isInvalid')).to.be(false);
+    });
+  });
 });